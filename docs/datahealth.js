@@ -0,0 +1,58 @@
+// Data-health panel: what each data source delivered and every validation problem found while ingesting it.
+// Loaded after map.js; entries arrive from loadDataSource() through dataHealth (ingest.js).
+
+const HEALTH_ISSUE_LIMIT = 100;
+
+function adapterLabel(id) {
+  return DATA_ADAPTERS.find(a => a.id === id)?.label || 'unrecognised';
+}
+
+function healthStatus(entry) {
+  if (entry.error || entry.issues.some(i => i.level === 'error')) return 'error';
+  return entry.issues.length ? 'warning' : 'ok';
+}
+
+function healthCounts(counts) {
+  return Object.entries(counts).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`).join(', ') || 'no records';
+}
+
+function renderDataHealth() {
+  const list = document.getElementById('data-health-list');
+  const summary = document.getElementById('data-health-summary');
+  if (!list) return;
+  const entries = [...dataHealth.sources.values()];
+  // keep expanded sources expanded across the live source's periodic re-reports
+  const open = new Set([...list.querySelectorAll('details[open]')].map(d => d.dataset.source));
+  list.innerHTML = entries.map(entry => {
+    const status = healthStatus(entry);
+    const errors = entry.issues.filter(i => i.level === 'error').length;
+    const warnings = entry.issues.length - errors;
+    const shown = entry.issues.slice(0, HEALTH_ISSUE_LIMIT);
+    return `
+      <details class="health-source ${status}" data-source="${escapeHtml(entry.name)}" ${open.has(entry.name) ? 'open' : ''}>
+        <summary>
+          <span class="health-dot"></span>
+          <strong>${escapeHtml(entry.name)}</strong>
+          <span class="text-secondary">${escapeHtml(entry.error ? 'not loaded' : adapterLabel(entry.adapter))}</span>
+          <span class="health-issue-count">${errors ? `${errors} error${errors > 1 ? 's' : ''}` : ''}${errors && warnings ? ', ' : ''}${warnings ? `${warnings} warning${warnings > 1 ? 's' : ''}` : ''}</span>
+        </summary>
+        <div class="small text-secondary">${escapeHtml(entry.url)} · ${escapeHtml(healthCounts(entry.counts))} · ${formatUTC(entry.loadedAt)}</div>
+        ${shown.length ? `<ul class="health-issues">${shown.map(i => `
+          <li class="${i.level}"><span class="health-level">${i.level}</span> ${i.item ? `<strong>${escapeHtml(i.item)}</strong>: ` : ''}${escapeHtml(i.message)}</li>`).join('')}
+        </ul>` : '<div class="small">No problems found.</div>'}
+        ${entry.issues.length > shown.length ? `<div class="small text-secondary">…and ${entry.issues.length - shown.length} more</div>` : ''}
+      </details>`;
+  }).join('') || '<div class="small text-secondary">No data loaded yet.</div>';
+  if (summary) {
+    const bad = entries.filter(e => healthStatus(e) === 'error').length;
+    const issues = entries.reduce((n, e) => n + e.issues.length, 0);
+    summary.textContent = `${entries.length} source${entries.length === 1 ? '' : 's'}, ${issues} issue${issues === 1 ? '' : 's'}${bad ? `, ${bad} with errors` : ''}`;
+  }
+}
+
+function initDataHealthPanel() {
+  dataHealth.onChange(renderDataHealth);
+  renderDataHealth();
+}
+
+initDataHealthPanel();
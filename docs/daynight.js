@@ -0,0 +1,97 @@
+// Day / night terminator with civil, nautical and astronomical twilight bands, a subsolar marker, and
+// the satellite panel's illumination section. Sun and eclipse geometry are in solar.js; the shadow
+// state that styles satellite markers is kept up to date by the propagation loop in map.js.
+
+const TERMINATOR_REFRESH_SIM_MS = 60 * 1000; // the terminator moves 0.25° per minute
+const TERMINATOR_RING_POINTS = 180;
+
+// each band is the cap around the antisolar point where the sun is below -depression_deg; the caps
+// nest, so the translucent fills stack up to the darkest shade in full night
+const TERMINATOR_STYLE = new ol.style.Style({ fill: new ol.style.Fill({ color: 'rgba(0, 0, 40, 0.14)' }) });
+const SUBSOLAR_STYLE = new ol.style.Style({
+  image: new ol.style.Circle({
+    radius: 7,
+    fill: new ol.style.Fill({ color: '#ffd600' }),
+    stroke: new ol.style.Stroke({ color: '#ff6f00', width: 2 })
+  })
+});
+
+const terminatorLayer = new ol.layer.Vector({
+  source: new ol.source.Vector(),
+  style: feature => feature.get('type') === 'subsolar' ? SUBSOLAR_STYLE : TERMINATOR_STYLE
+});
+terminatorLayer.set('clickable', false);
+map.getLayers().insertAt(1, terminatorLayer); // over the basemap, under the footprints
+let lastTerminatorTime = null;
+
+function refreshTerminator() {
+  const now = simClock.now();
+  lastTerminatorTime = now.getTime();
+  const source = terminatorLayer.getSource();
+  source.clear(true);
+  const sub = subsolarPoint(now);
+  const antiLat = -sub.lat, antiLon = sub.lon > 0 ? sub.lon - 180 : sub.lon + 180;
+  const features = TWILIGHT_BANDS.map(band => {
+    const ring = footprintRing(antiLat, antiLon, 90 - band.depression_deg, TERMINATOR_RING_POINTS, 89).map(c => ol.proj.fromLonLat(c));
+    const f = new ol.Feature({ geometry: new ol.geom.Polygon([ring]) });
+    f.setProperties({ type: 'twilight', name: band.name, depression_deg: band.depression_deg });
+    return f;
+  });
+  const sun = new ol.Feature({ geometry: new ol.geom.Point(ol.proj.fromLonLat([sub.lon, sub.lat])) });
+  sun.setProperties({ type: 'subsolar', name: 'Subsolar point' });
+  source.addFeatures([...features, sun]);
+}
+
+function initTerminator() {
+  const toggle = document.getElementById('toggle-terminator');
+  terminatorLayer.setVisible(toggle?.checked ?? true);
+  toggle?.addEventListener('change', e => terminatorLayer.setVisible(e.target.checked));
+  simClock.onChange(reason => { if (reason === 'jump') refreshTerminator(); });
+  setInterval(() => {
+    if (Math.abs(simClock.now().getTime() - lastTerminatorTime) >= TERMINATOR_REFRESH_SIM_MS) refreshTerminator();
+  }, 1000);
+  refreshTerminator();
+}
+
+// -------------------------
+// Satellite panel: shadow state now, the observer's sky and whether the satellite can be seen
+const ILLUMINATION_LABELS = {
+  sunlit: 'Sunlit',
+  penumbra: 'Penumbra (partly shadowed)',
+  umbra: "Umbra (in the Earth's shadow)"
+};
+
+function twilightName(sunElevation_deg) {
+  if (sunElevation_deg >= 0) return 'Day';
+  const band = [...TWILIGHT_BANDS].reverse().find(b => sunElevation_deg < -b.depression_deg);
+  return band ? band.name : 'Day';
+}
+
+satelliteInfoSections.push(props => {
+  const now = simClock.now();
+  let light = null;
+  if (props.satrec) light = satrecIllumination(propagateSatrec(props.satrec, now));
+  else {
+    const { lat, lon } = readLatLon(props);
+    if (lat !== null && typeof props.altitude_km === 'number') light = geodeticIllumination(lat, lon, props.altitude_km, now);
+  }
+  const observer = activeObserver();
+  const sunElevation = sunElevationDeg(observer, now);
+  const look = satelliteLookAngles(props, now, observer);
+  let visibility = '—';
+  if (light && look) {
+    if (look.elevation_deg <= 0) visibility = 'no (below horizon)';
+    else if (light === 'umbra') visibility = "no (in the Earth's shadow)";
+    else if (sunElevation >= VISIBLE_PASS_SUN_MAX_DEG) visibility = 'no (sky too bright)';
+    else visibility = '<span style="color:#ffd600">yes</span>';
+  }
+  return `
+    <h5 style="margin:6px 0 4px 0;">Illumination</h5>
+    <table style="width:100%; border-collapse:collapse;">
+      ${smallTableRow('Satellite', light ? escapeHtml(ILLUMINATION_LABELS[light]) : '— (altitude unknown)')}
+      ${smallTableRow(`Sun at ${observer.name}`, `${formatNum(sunElevation, 1)}° (${escapeHtml(twilightName(sunElevation))})`)}
+      ${smallTableRow('Optically visible', visibility)}
+    </table>`;
+});
+
+initTerminator();
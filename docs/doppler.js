@@ -0,0 +1,200 @@
+// Doppler planner: frequency over time for a selected pass and transmitter, with CSV / rig text export.
+// Loaded after passes.js and transmitters.js (uses onPassSelected() and transmittersByNorad).
+
+const SPEED_OF_LIGHT_KMS = 299792.458;
+
+// Doppler-corrected frequency for a nominal `f0` given the range rate (km/s, positive = receding).
+// Downlink: what the ground receives. Uplink: what the ground must transmit so the satellite hears f0.
+function dopplerFrequency(f0, rangeRateKms, direction = 'downlink') {
+  const beta = rangeRateKms / SPEED_OF_LIGHT_KMS;
+  return direction === 'uplink' ? f0 / (1 - beta) : f0 * (1 - beta);
+}
+
+function computeDopplerPlan(satrec, observer, pass, f0, direction, stepSec = 10) {
+  const samples = [];
+  const start = pass.aos.getTime(), end = pass.los.getTime();
+  for (let t = start; t <= end + 1; t += stepSec * 1000) {
+    const date = new Date(Math.min(t, end));
+    const look = lookAngles(satrec, date, observer);
+    const rr = rangeRate(satrec, date, observer);
+    if (!look || rr === null) continue;
+    const frequency_hz = dopplerFrequency(f0, rr, direction);
+    samples.push({
+      time: date,
+      azimuth_deg: look.azimuth_deg,
+      elevation_deg: look.elevation_deg,
+      range_km: look.range_km,
+      range_rate_kms: rr,
+      frequency_hz,
+      offset_hz: frequency_hz - f0
+    });
+  }
+  return samples;
+}
+
+// -------------------------
+// Doppler panel (sidebar)
+let dopplerPlan = null; // { name, norad, f0, direction, observer, samples }
+let dopplerTxOptions = []; // transmitters offered for the selected pass's satellite
+
+function dopplerTransmitterOptions(feature) {
+  const norad = satelliteNoradId(feature.getProperties());
+  const list = (norad !== null && norad !== undefined) ? (transmittersByNorad.get(String(norad)) || []) : [];
+  return list.filter(tx => typeof tx.frequency_hz === 'number');
+}
+
+function renderDopplerTransmitters(row) {
+  const sel = document.getElementById('doppler-tx');
+  if (!sel) return;
+  const options = dopplerTxOptions = row ? dopplerTransmitterOptions(row.feature) : [];
+  sel.innerHTML = options.map((tx, i) => `<option value="${i}">${formatFrequency(tx.frequency_hz)} ${escapeHtml(tx.mode || '')} ${tx.direction === 'uplink' ? '↑' : '↓'} ${escapeHtml(tx.description)}</option>`).join('')
+    + '<option value="custom">Custom frequency…</option>';
+  sel.value = options.length ? '0' : 'custom';
+  document.getElementById('doppler-custom')?.classList.toggle('d-none', sel.value !== 'custom');
+}
+
+function selectedDopplerFrequency() {
+  const sel = document.getElementById('doppler-tx');
+  if (!sel) return null;
+  if (sel.value === 'custom') {
+    const mhz = Number(document.getElementById('doppler-freq')?.value);
+    const direction = document.getElementById('doppler-direction')?.value || 'downlink';
+    return mhz > 0 ? { f0: mhz * 1e6, direction, label: `${mhz} MHz (custom)` } : null;
+  }
+  const tx = dopplerTxOptions[Number(sel.value)];
+  return tx ? { f0: tx.frequency_hz, direction: tx.direction, label: `${formatFrequency(tx.frequency_hz)} ${tx.mode || ''} ${tx.description}`.trim() } : null;
+}
+
+function updateDopplerPlan() {
+  const status = document.getElementById('doppler-status');
+  const row = selectedPassRow;
+  const freq = selectedDopplerFrequency();
+  if (!row) {
+    dopplerPlan = null;
+    if (status) status.textContent = 'Pick a pass in the pass table.';
+  } else if (!freq) {
+    dopplerPlan = null;
+    if (status) status.textContent = 'Enter a nominal frequency.';
+  } else {
+    const stepSec = Math.max(1, Number(document.getElementById('doppler-step')?.value) || 10);
+    const observer = activeObserver();
+    dopplerPlan = {
+      name: row.name,
+      norad: satelliteNoradId(row.feature.getProperties()),
+      f0: freq.f0,
+      direction: freq.direction,
+      label: freq.label,
+      observer,
+      samples: computeDopplerPlan(row.feature.get('satrec'), observer, row.pass, freq.f0, freq.direction, stepSec)
+    };
+    const offsets = dopplerPlan.samples.map(s => s.offset_hz);
+    if (status) {
+      status.textContent = offsets.length
+        ? `${row.name} ${freq.direction}, ${formatPassTime(row.pass.aos)} → ${formatPassTime(row.pass.los)} UTC, shift ${formatNum(Math.max(...offsets) / 1000, 2)} … ${formatNum(Math.min(...offsets) / 1000, 2)} kHz`
+        : 'Could not propagate this pass.';
+    }
+  }
+  drawDopplerChart();
+  document.querySelectorAll('#doppler-export-csv, #doppler-export-rig').forEach(b => { b.disabled = !dopplerPlan?.samples.length; });
+}
+
+function drawDopplerChart() {
+  const canvas = document.getElementById('doppler-chart');
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const w = canvas.width, h = canvas.height, pad = { l: 52, r: 8, t: 10, b: 22 };
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#111';
+  ctx.fillRect(0, 0, w, h);
+  const samples = dopplerPlan?.samples || [];
+  if (samples.length < 2) return;
+
+  const t0 = samples[0].time.getTime(), t1 = samples[samples.length - 1].time.getTime();
+  const khz = samples.map(s => s.offset_hz / 1000);
+  const yMax = Math.max(...khz.map(Math.abs), 0.001);
+  const x = t => pad.l + ((t - t0) / (t1 - t0 || 1)) * (w - pad.l - pad.r);
+  const y = v => pad.t + (1 - (v + yMax) / (2 * yMax)) * (h - pad.t - pad.b);
+
+  // axes, zero line and labels
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad.l, y(0)); ctx.lineTo(w - pad.r, y(0));
+  ctx.moveTo(pad.l, pad.t); ctx.lineTo(pad.l, h - pad.b);
+  ctx.stroke();
+  ctx.fillStyle = '#aaa';
+  ctx.font = '10px monospace';
+  ctx.fillText(`+${yMax.toFixed(2)} kHz`, 2, pad.t + 8);
+  ctx.fillText(`-${yMax.toFixed(2)} kHz`, 2, h - pad.b);
+  ctx.fillText(samples[0].time.toISOString().slice(11, 19), pad.l, h - 6);
+  const endLabel = samples[samples.length - 1].time.toISOString().slice(11, 19);
+  ctx.fillText(endLabel, w - pad.r - ctx.measureText(endLabel).width, h - 6);
+
+  ctx.strokeStyle = '#00e5ff';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  samples.forEach((s, i) => {
+    const px = x(s.time.getTime()), py = y(s.offset_hz / 1000);
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  ctx.stroke();
+}
+
+function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function dopplerFileStem(plan) {
+  return `doppler_${plan.name.replace(/[^\w.-]+/g, '_')}_${plan.samples[0].time.toISOString().slice(0, 19).replace(/[-:]/g, '')}`;
+}
+
+function dopplerCSV(plan) {
+  const header = 'time_utc,azimuth_deg,elevation_deg,range_km,range_rate_km_s,frequency_hz,offset_hz';
+  const lines = plan.samples.map(s => [
+    s.time.toISOString(), s.azimuth_deg.toFixed(2), s.elevation_deg.toFixed(2), s.range_km.toFixed(3),
+    s.range_rate_kms.toFixed(5), Math.round(s.frequency_hz), Math.round(s.offset_hz)
+  ].join(','));
+  return [header, ...lines].join('\n') + '\n';
+}
+
+// one "UTC-timestamp frequency-Hz" pair per line, comments prefixed with '#', easy to feed a rigctl loop
+function dopplerRigText(plan) {
+  const o = plan.observer;
+  return [
+    `# Angel's Eye 2 Doppler plan: ${plan.name}${plan.norad ? ' (NORAD ' + plan.norad + ')' : ''}`,
+    `# ${plan.direction} nominal ${Math.round(plan.f0)} Hz — ${plan.label}`,
+    `# observer ${o.name} ${o.lat.toFixed(5)} ${o.lon.toFixed(5)} ${Math.round(o.alt_km * 1000)} m`,
+    `# ${plan.direction === 'uplink' ? 'transmit' : 'tune'} frequency in Hz at each UTC time`,
+    ...plan.samples.map(s => `${s.time.toISOString().slice(0, 19)}Z ${Math.round(s.frequency_hz)}`)
+  ].join('\n') + '\n';
+}
+
+function initDopplerPanel() {
+  onPassSelected(row => {
+    renderDopplerTransmitters(row);
+    updateDopplerPlan();
+  });
+  document.getElementById('doppler-tx')?.addEventListener('change', e => {
+    document.getElementById('doppler-custom')?.classList.toggle('d-none', e.target.value !== 'custom');
+    updateDopplerPlan();
+  });
+  ['doppler-freq', 'doppler-direction', 'doppler-step'].forEach(id => document.getElementById(id)?.addEventListener('change', updateDopplerPlan));
+  document.getElementById('doppler-export-csv')?.addEventListener('click', () => {
+    if (dopplerPlan?.samples.length) downloadText(dopplerFileStem(dopplerPlan) + '.csv', dopplerCSV(dopplerPlan), 'text/csv');
+  });
+  document.getElementById('doppler-export-rig')?.addEventListener('click', () => {
+    if (dopplerPlan?.samples.length) downloadText(dopplerFileStem(dopplerPlan) + '.txt', dopplerRigText(dopplerPlan));
+  });
+  observerSites.onChange(() => { if (dopplerPlan) updateDopplerPlan(); });
+  renderDopplerTransmitters(null);
+  updateDopplerPlan();
+}
+
+initDopplerPanel();
@@ -0,0 +1,385 @@
+// Export of the visible station, satellite, orbit and observer layers (GeoJSON, KML, time-dynamic CZML)
+// and the view state in the URL hash, so a link reopens the same view:
+//   #view=<lon>,<lat>,<zoom>&layers=stations,satellites,...&base=osm&sel=norad:25544&t=<ISO time, only when not live>
+// Loaded after map.js, doppler.js (downloadText) and search.js (allSatelliteFeatures).
+
+const URL_STATE_LAYERS = {
+  stations: 'toggle-stations',
+  satellites: 'toggle-satellites',
+  live: 'toggle-live',
+  orbits: 'toggle-orbits',
+  footprints: 'toggle-footprints',
+  daynight: 'toggle-terminator'
+};
+const CZML_SAMPLES_PER_REV = 60;
+const CZML_STATIC_WINDOW_MIN = 90; // clock span when nothing in the export has a TLE
+
+// -------------------------
+// What gets exported: visible layers, satellites as filtered on the map, positions at the clock time
+function exportLayerSets() {
+  return [
+    { name: 'Observer', layer: observerLayer },
+    { name: 'Ground stations', layer: stationLayer },
+    { name: 'Satellites', layer: satelliteLayer },
+    { name: 'Live satellites', layer: liveSatLayer },
+    { name: 'Orbits', layer: orbitLayer }
+  ]
+    .filter(set => set.layer && set.layer.getVisible())
+    .map(set => ({
+      name: set.name,
+      features: set.layer.getSource().getFeatures()
+        .filter(f => f.get('type') !== 'satellite' || satelliteMatchesFilter(f))
+    }));
+}
+
+// plain attributes only: satrecs, raw source records, tracks, cached geometries and render attributes stay behind
+function exportProperties(feature, layerName) {
+  const props = { layer: layerName };
+  Object.entries(feature.getProperties()).forEach(([k, v]) => {
+    if (k === feature.getGeometryName() || k === 'raw' || SATELLITE_RENDER_PROPS.includes(k)) return;
+    if (v === null || ['string', 'number', 'boolean'].includes(typeof v)) props[k] = v;
+  });
+  if (props.type === 'observer') {
+    const site = observerSites.active();
+    Object.assign(props, { name: site.name, alt_m: site.alt_m || 0 });
+  }
+  return props;
+}
+
+function exportFeatureColor(feature) {
+  const type = feature.get('type');
+  if (type === 'observer') return '#008000';
+  if (type === 'station') return '#0000ff';
+  if (type === 'orbit') return '#ffa500';
+  if (feature.get('stale') === true) return '#8c8c8c';
+  return satelliteGroups.groupsOf(feature.get('sat_key'))[0]?.color || '#ff0000';
+}
+
+function exportFileStem() {
+  return 'ae2-' + simClock.now().toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+}
+
+function exportedFeatureClones() {
+  return exportLayerSets().flatMap(set => set.features.map(f => {
+    const clone = new ol.Feature(exportProperties(f, set.name));
+    clone.setGeometry(f.getGeometry().clone());
+    return clone;
+  }));
+}
+
+function buildGeoJSON() {
+  const collection = new ol.format.GeoJSON().writeFeaturesObject(exportedFeatureClones(), {
+    featureProjection: 'EPSG:3857',
+    decimals: 6
+  });
+  collection.time = simClock.now().toISOString();
+  return JSON.stringify(collection);
+}
+
+// one colour-tinted circle icon for points, the legend colours throughout (hex: named colours need the DOM)
+function buildKML() {
+  const clones = exportedFeatureClones();
+  const iconSrc = 'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+  // the writer divides the scale by 0.5 for icons of unknown size (it assumes 64 px), so 0.5 is written as 1
+  clones.forEach(clone => {
+    const color = exportFeatureColor(clone);
+    clone.setStyle(isLineGeometry(clone.getGeometry())
+      ? new ol.style.Style({ stroke: new ol.style.Stroke({ color, width: 2 }) })
+      : new ol.style.Style({ image: new ol.style.Icon({ src: iconSrc, color, scale: 0.5 }) }));
+  });
+  return new ol.format.KML().writeFeatures(clones, { featureProjection: 'EPSG:3857', decimals: 6 });
+}
+
+// -------------------------
+// CZML: satellites (and orbits) with TLEs become sampled positions in the Earth-fixed frame with a
+// path covering the track settings' past / future revolutions; everything else is a static entity.
+function czmlColor(color) {
+  const [r, g, b, a] = ol.color.asArray(color);
+  return { rgba: [r, g, b, Math.round((a ?? 1) * 255)] };
+}
+
+function czmlDescription(props) {
+  const rows = Object.entries(props)
+    .filter(([, v]) => v !== null && v !== '')
+    .map(([k, v]) => smallTableRow(k, escapeHtml(typeof v === 'number' ? formatNum(v, 4) : String(v))))
+    .join('');
+  return `<table style="width:100%; border-collapse:collapse;">${rows}</table>`;
+}
+
+function czmlSampledPacket(id, feature, props, now) {
+  const satrec = feature.get('satrec');
+  const periodSec = (satrecPeriodMinutes(satrec) || 100) * 60;
+  const start = new Date(now.getTime() - trackSettings.pastRevs * periodSec * 1000);
+  const end = new Date(now.getTime() + trackSettings.futureRevs * periodSec * 1000);
+  const step = periodSec / CZML_SAMPLES_PER_REV;
+  const count = Math.round((end - start) / 1000 / step);
+  const samples = [];
+  for (let i = 0; i <= count; i++) {
+    const t = i * step;
+    const state = propagateSatrec(satrec, new Date(start.getTime() + t * 1000));
+    if (!state) continue;
+    const ecf = satellite.eciToEcf(state.positionEci, state.gmst);
+    samples.push(Number(t.toFixed(3)), Math.round(ecf.x * 1000), Math.round(ecf.y * 1000), Math.round(ecf.z * 1000));
+  }
+  if (!samples.length) return null;
+  const color = czmlColor(exportFeatureColor(feature));
+  return {
+    id,
+    name: props.name,
+    description: czmlDescription(props),
+    availability: `${start.toISOString()}/${end.toISOString()}`,
+    position: {
+      epoch: start.toISOString(),
+      referenceFrame: 'FIXED',
+      interpolationAlgorithm: 'LAGRANGE',
+      interpolationDegree: 5,
+      cartesian: samples
+    },
+    point: { pixelSize: 8, color, outlineColor: czmlColor('#ffffff'), outlineWidth: 1 },
+    label: { text: props.name, font: '11pt sans-serif', pixelOffset: { cartesian2: [0, -16] }, fillColor: czmlColor('#ffffff') },
+    path: {
+      material: { solidColor: { color } },
+      width: 2,
+      resolution: Math.round(step),
+      leadTime: trackSettings.futureRevs * periodSec,
+      trailTime: trackSettings.pastRevs * periodSec
+    },
+    _window: [start, end]
+  };
+}
+
+function czmlStaticPacket(id, feature, props) {
+  const color = czmlColor(exportFeatureColor(feature));
+  const geometry = feature.getGeometry().clone().transform('EPSG:3857', 'EPSG:4326');
+  if (isLineGeometry(geometry)) {
+    const lines = geometry instanceof ol.geom.MultiLineString ? geometry.getLineStrings() : [geometry];
+    return lines.map((line, i) => ({
+      id: lines.length > 1 ? `${id}/${i}` : id,
+      name: props.name,
+      description: czmlDescription(props),
+      polyline: {
+        positions: { cartographicDegrees: line.getCoordinates().flatMap(([lon, lat]) => [lon, lat, 0]) },
+        material: { solidColor: { color } },
+        width: 2,
+        clampToGround: true
+      }
+    }));
+  }
+  const [lon, lat] = geometry.getCoordinates();
+  const height = props.type === 'satellite' ? (props.altitude_km || 0) * 1000 : (props.elevation_m ?? props.alt_m ?? 0);
+  return [{
+    id,
+    name: props.name,
+    description: czmlDescription(props),
+    position: { cartographicDegrees: [lon, lat, height] },
+    point: { pixelSize: props.type === 'satellite' ? 8 : 10, color, outlineColor: czmlColor('#ffffff'), outlineWidth: 1 },
+    label: { text: props.name, font: '11pt sans-serif', pixelOffset: { cartesian2: [0, -16] }, fillColor: czmlColor('#ffffff') }
+  }];
+}
+
+function buildCZML() {
+  const now = simClock.now();
+  const packets = [];
+  const exportedSatrecs = new Set();
+  exportLayerSets().forEach(set => {
+    // orbits come after the satellite layers: one whose satellite is already exported (same satrec) is skipped
+    set.features.forEach(f => {
+      const props = exportProperties(f, set.name);
+      const key = props.type === 'satellite' ? props.sat_key : props.type === 'orbit' ? (props.norad_id ?? props.name) : (props.id ?? props.name);
+      const id = `${props.type}/${set.name === 'Live satellites' ? 'live/' : ''}${key}`;
+      const satrec = f.get('satrec');
+      if (satrec && props.type === 'orbit' && exportedSatrecs.has(satrec)) return;
+      const sampled = satrec ? czmlSampledPacket(id, f, props, now) : null;
+      if (sampled) {
+        exportedSatrecs.add(satrec);
+        packets.push(sampled);
+      } else {
+        packets.push(...czmlStaticPacket(id, f, props));
+      }
+    });
+  });
+  const windows = packets.filter(p => p._window).map(p => p._window);
+  const start = windows.length ? new Date(Math.min(...windows.map(w => w[0].getTime()))) : now;
+  const end = windows.length
+    ? new Date(Math.max(...windows.map(w => w[1].getTime())))
+    : new Date(now.getTime() + CZML_STATIC_WINDOW_MIN * 60000);
+  packets.forEach(p => delete p._window);
+  const header = {
+    id: 'document',
+    name: `Angel's Eye 2 export ${formatUTC(now)}`,
+    version: '1.0',
+    clock: {
+      interval: `${start.toISOString()}/${end.toISOString()}`,
+      currentTime: now.toISOString(),
+      multiplier: simClock.rate,
+      range: 'LOOP_STOP',
+      step: 'SYSTEM_CLOCK_MULTIPLIER'
+    }
+  };
+  return JSON.stringify([header, ...packets]); // CZML requires the document packet first
+}
+
+function exportMap(format) {
+  const status = document.getElementById('export-status');
+  try {
+    const stem = exportFileStem();
+    if (format === 'geojson') downloadText(stem + '.geojson', buildGeoJSON(), 'application/geo+json');
+    else if (format === 'kml') downloadText(stem + '.kml', buildKML(), 'application/vnd.google-earth.kml+xml');
+    else if (format === 'czml') downloadText(stem + '.czml', buildCZML(), 'application/json');
+    const counts = exportLayerSets().map(set => `${set.features.length} ${set.name.toLowerCase()}`).join(', ');
+    if (status) status.textContent = `Exported ${format.toUpperCase()}: ${counts || 'no visible layers'}`;
+  } catch (err) {
+    console.error("[EXPORT] failed:", err);
+    if (status) status.textContent = `Export failed: ${err.message}`;
+  }
+}
+
+// -------------------------
+// Shareable URL state
+let urlStateReady = false; // nothing is written until a linked state has been restored
+let urlStateTimer = null;
+
+function selectionToken(props) {
+  if (!props) return null;
+  if (props.type === 'satellite') return props.sat_key || satelliteKey(props);
+  if (props.type === 'station') return `station:${props.id ?? props.name}`;
+  if (props.type === 'orbit') return `orbit:${props.norad_id ?? props.name}`;
+  if (props.type === 'observer') return 'observer';
+  return null;
+}
+
+function featureForSelectionToken(token) {
+  if (token === 'observer') return observerFeature;
+  const [kind, ...rest] = token.split(':');
+  const value = rest.join(':');
+  const find = (layer, test) => layer?.getSource().getFeatures().find(test) || null;
+  if (kind === 'station') return find(stationLayer, f => String(f.get('id') ?? f.get('name')) === value);
+  if (kind === 'orbit') return find(orbitLayer, f => String(f.get('norad_id') ?? f.get('name')) === value);
+  return allSatelliteFeatures().find(f => f.get('sat_key') === token) || null;
+}
+
+function currentURLState() {
+  const view = map.getView();
+  const [lon, lat] = ol.proj.toLonLat(view.getCenter());
+  const params = new URLSearchParams();
+  params.set('view', `${lon.toFixed(4)},${lat.toFixed(4)},${(view.getZoom() || 0).toFixed(2)}`);
+  params.set('layers', Object.entries(URL_STATE_LAYERS)
+    .filter(([, id]) => document.getElementById(id)?.checked)
+    .map(([name]) => name)
+    .join(','));
+  params.set('base', document.getElementById('basemap-switcher')?.value || 'osm');
+  const sel = selectionToken(selectedProps);
+  if (sel) params.set('sel', sel);
+  if (!simClock.isLive()) params.set('t', simClock.now().toISOString());
+  return params;
+}
+
+function shareableURL() {
+  return `${location.origin}${location.pathname}${location.search}#${currentURLState().toString()}`;
+}
+
+function writeURLState() {
+  if (!urlStateReady) return;
+  const url = shareableURL();
+  history.replaceState(null, '', url);
+  const input = document.getElementById('share-url');
+  if (input) input.value = url;
+}
+
+function scheduleURLStateWrite() {
+  clearTimeout(urlStateTimer);
+  urlStateTimer = setTimeout(writeURLState, 300);
+}
+
+function readURLState() {
+  const hash = location.hash.replace(/^#/, '');
+  if (!hash) return null;
+  const params = new URLSearchParams(hash);
+  const state = {};
+  const view = (params.get('view') || '').split(',').map(Number);
+  if (view.length === 3 && view.every(Number.isFinite) && isValidLatLon(view[1], view[0])) {
+    state.view = { lon: view[0], lat: view[1], zoom: view[2] };
+  }
+  if (params.has('layers')) state.layers = new Set(params.get('layers').split(',').filter(Boolean));
+  if (baseLayers[params.get('base')]) state.base = params.get('base');
+  if (params.get('sel')) state.sel = params.get('sel');
+  const t = Date.parse(params.get('t') || '');
+  if (Number.isFinite(t)) state.time = t;
+  return state;
+}
+
+// the selected feature may only exist once the live feed delivers it, so retry briefly
+function restoreSelection(token, attempts = 10) {
+  const feature = featureForSelectionToken(token);
+  if (feature) return selectFeature(feature);
+  if (attempts > 1) setTimeout(() => restoreSelection(token, attempts - 1), 1000);
+  else console.warn("[URL STATE] selected feature not found:", token);
+}
+
+function applyURLState(state) {
+  if (state.time !== undefined) simClock.setTime(state.time);
+  const basemap = document.getElementById('basemap-switcher');
+  if (state.base && basemap && basemap.value !== state.base) {
+    basemap.value = state.base;
+    basemap.dispatchEvent(new Event('change'));
+  }
+  if (state.layers) {
+    Object.entries(URL_STATE_LAYERS).forEach(([name, id]) => {
+      const toggle = document.getElementById(id);
+      if (!toggle || toggle.checked === state.layers.has(name)) return;
+      toggle.checked = state.layers.has(name);
+      toggle.dispatchEvent(new Event('change'));
+    });
+  }
+  if (state.view) {
+    map.getView().setCenter(ol.proj.fromLonLat([state.view.lon, state.view.lat]));
+    map.getView().setZoom(state.view.zoom);
+  }
+  if (state.sel) restoreSelection(state.sel);
+}
+
+function initExportPanel() {
+  ['geojson', 'kml', 'czml'].forEach(format => {
+    document.getElementById(`export-${format}`)?.addEventListener('click', () => exportMap(format));
+  });
+  document.getElementById('share-copy')?.addEventListener('click', () => {
+    const url = shareableURL();
+    const status = document.getElementById('export-status');
+    const input = document.getElementById('share-url');
+    if (input) input.value = url;
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(url).then(
+        () => { if (status) status.textContent = 'Link copied to the clipboard'; },
+        () => { input?.select(); if (status) status.textContent = 'Copy the link above'; }
+      );
+    } else {
+      input?.select();
+      if (status) status.textContent = 'Copy the link above';
+    }
+  });
+}
+
+// view, toggles and selection are restored once the data layers exist (initMapLayers() fits the view
+// to the data and attaches the toggle listeners), then every change is written back to the hash
+function initURLState() {
+  layersReady.then(() => {
+    const state = readURLState();
+    if (state) applyURLState(state);
+    urlStateReady = true;
+
+    map.on('moveend', scheduleURLStateWrite);
+    Object.values(URL_STATE_LAYERS).forEach(id => document.getElementById(id)?.addEventListener('change', scheduleURLStateWrite));
+    document.getElementById('basemap-switcher')?.addEventListener('change', scheduleURLStateWrite);
+    onSelectionChange(scheduleURLStateWrite);
+    simClock.onChange(scheduleURLStateWrite);
+    // a pasted link in the same tab only changes the hash
+    window.addEventListener('hashchange', () => {
+      const next = readURLState();
+      if (next) applyURLState(next);
+    });
+    writeURLState();
+  });
+}
+
+initExportPanel();
+initURLState();
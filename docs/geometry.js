@@ -0,0 +1,69 @@
+// Geographic helpers for tracks and footprints (plain lon/lat degrees, no OpenLayers types)
+
+// Split a [[lat, lon], ...] track wherever it crosses ±180°, returning [[lon, lat], ...] segments.
+// The crossing latitude is interpolated so each piece ends exactly on the antimeridian.
+function splitAtAntimeridian(track) {
+  const segments = [];
+  let current = [];
+  let prev = null;
+  for (const pt of (track || [])) {
+    if (!Array.isArray(pt) || typeof pt[0] !== 'number' || typeof pt[1] !== 'number') continue;
+    const [lat, lon] = pt;
+    if (prev && Math.abs(lon - prev[1]) > 180) {
+      // going east across +180 when the longitude jumps down, west across -180 when it jumps up
+      const edge = lon < prev[1] ? 180 : -180;
+      const unwrapped = lon + (edge === 180 ? 360 : -360);
+      const f = (edge - prev[1]) / (unwrapped - prev[1]);
+      const crossLat = prev[0] + f * (lat - prev[0]);
+      current.push([edge, crossLat]);
+      segments.push(current);
+      current = [[-edge, crossLat]];
+    }
+    current.push([lon, lat]);
+    prev = [lat, lon];
+  }
+  if (current.length) segments.push(current);
+  return segments.filter(s => s.length > 1);
+}
+
+// Earth central angle (degrees) of the coverage circle of a satellite at `altitude_km`
+// seen down to `minElevationDeg` above the horizon.
+function footprintRadiusDeg(altitude_km, minElevationDeg = 0, earthRadiusKm = 6378.137) {
+  if (!(altitude_km > 0)) return 0;
+  const eps = minElevationDeg * Math.PI / 180;
+  const lambda = Math.acos(earthRadiusKm * Math.cos(eps) / (earthRadiusKm + altitude_km)) - eps;
+  return Math.max(0, lambda * 180 / Math.PI);
+}
+
+// great-circle destination from (lat, lon) along `bearingDeg` for an angular distance `distDeg`
+function destinationPoint(lat, lon, bearingDeg, distDeg) {
+  const toRad = Math.PI / 180;
+  const φ1 = lat * toRad, λ1 = lon * toRad, θ = bearingDeg * toRad, δ = distDeg * toRad;
+  const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+  const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+  return [φ2 / toRad, λ2 / toRad];
+}
+
+// Closed [[lon, lat], ...] ring of the coverage circle. Longitudes are unwrapped around the
+// centre (they may run past ±180) so a wrapping vector source draws it across the antimeridian;
+// a circle that contains a pole is closed along that pole's latitude limit instead.
+function footprintRing(lat, lon, radiusDeg, points = 72, poleLat = 85) {
+  const ring = [];
+  let prevLon = lon;
+  for (let i = 0; i <= points; i++) {
+    const [la, lo] = destinationPoint(lat, lon, (i * 360) / points, radiusDeg);
+    let unwrapped = lo;
+    while (unwrapped - prevLon > 180) unwrapped -= 360;
+    while (unwrapped - prevLon < -180) unwrapped += 360;
+    ring.push([unwrapped, la]);
+    prevLon = unwrapped;
+  }
+  const span = ring[ring.length - 1][0] - ring[0][0];
+  if (Math.abs(span) > 180) {
+    // the ring wound once around the pole: cap it at the pole on the satellite's side
+    const capLat = lat >= 0 ? poleLat : -poleLat;
+    const last = ring[ring.length - 1], first = ring[0];
+    ring.push([last[0], capLat], [first[0], capLat], first);
+  }
+  return ring;
+}
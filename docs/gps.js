@@ -0,0 +1,331 @@
+// GPS console: NMEA 0183 from a recorded log (replayed at the pace of its own time stamps) or from a
+// receiver on Web Serial, shown in #gps-console with the receiver's track on the map. The observer can
+// also follow the receiver, as a transient site that is never saved. Parsing lives in nmea.js; loaded after map.js.
+
+const GPS_SETTINGS = {
+  sampleLog: 'data/sample_track.nmea',
+  trackMaxPoints: 5000,
+  logLines: 12,
+  replayMaxGapMs: 5000,     // long pauses in a recording are cut short
+  observerUpdateMs: 15000,  // moving the observer re-runs pass predictions, so follow the receiver coarsely
+  observerMinMove_m: 25,
+  observerSiteName: 'GPS receiver'
+};
+
+let gpsState = createGPSState();
+const gpsTrack = []; // [[lat, lon], ...] of valid fixes, oldest first
+const gpsLogLines = [];
+const gpsInput = {
+  kind: null,        // 'replay' | 'serial' while a source is running
+  name: '',
+  timer: null,       // replay
+  epochs: null,
+  index: 0,
+  port: null,        // serial
+  reader: null,
+  pipe: null
+};
+let gpsLastObserverMove = 0;
+
+// -------------------------
+// Receiver track and position marker
+const gpsTrackFeature = new ol.Feature({ geometry: new ol.geom.MultiLineString([]) });
+gpsTrackFeature.setProperties({ type: 'gps_track', name: 'GPS receiver track' });
+const gpsReceiverFeature = new ol.Feature();
+gpsReceiverFeature.setProperties({ type: 'gps_receiver', name: 'GPS receiver' });
+
+const GPS_TRACK_STYLE = new ol.style.Style({ stroke: new ol.style.Stroke({ color: '#e040fb', width: 3 }) });
+
+// arrow along the course while moving, dot when standing still
+function gpsReceiverStyle() {
+  const moving = (gpsState.speed_kmh ?? 0) > 1 && typeof gpsState.course_deg === 'number';
+  const fill = new ol.style.Fill({ color: gpsState.valid ? '#e040fb' : '#888' });
+  const stroke = new ol.style.Stroke({ color: '#fff', width: 1.5 });
+  return new ol.style.Style({
+    image: moving
+      ? new ol.style.RegularShape({ points: 3, radius: 9, fill, stroke, rotation: gpsState.course_deg * Math.PI / 180, rotateWithView: true })
+      : new ol.style.Circle({ radius: 7, fill, stroke })
+  });
+}
+
+const gpsLayer = new ol.layer.Vector({
+  source: new ol.source.Vector({ features: [gpsTrackFeature, gpsReceiverFeature] }),
+  style: feature => feature === gpsReceiverFeature ? gpsReceiverStyle() : GPS_TRACK_STYLE,
+  zIndex: 15
+});
+map.addLayer(gpsLayer);
+
+function redrawGPSTrack() {
+  gpsTrackFeature.setGeometry(trackGeometry(splitAtAntimeridian(gpsTrack)));
+}
+
+function clearGPSTrack() {
+  gpsTrack.length = 0;
+  redrawGPSTrack();
+}
+
+// -------------------------
+// Feeding sentences in
+function resetGPSState() {
+  gpsState = createGPSState();
+  gpsLogLines.length = 0;
+  gpsReceiverFeature.setGeometry(undefined);
+  clearGPSTrack();
+}
+
+function gpsFixUpdated() {
+  const { lat, lon } = gpsState;
+  const last = gpsTrack[gpsTrack.length - 1];
+  if (!last || last[0] !== lat || last[1] !== lon) {
+    gpsTrack.push([lat, lon]);
+    if (gpsTrack.length > GPS_SETTINGS.trackMaxPoints) gpsTrack.shift();
+    redrawGPSTrack();
+  }
+  gpsReceiverFeature.setGeometry(new ol.geom.Point(ol.proj.fromLonLat([lon, lat])));
+  if (document.getElementById('gps-follow-observer')?.checked) moveObserverToReceiver();
+}
+
+// The receiver gets its own transient site, so following it never overwrites a saved one.
+// GGA altitude is above mean sea level; observer sites (like satellite.js) want height above the ellipsoid
+function moveObserverToReceiver(force = false) {
+  const { lat, lon, alt_m, geoidSep_m } = gpsState;
+  if (!gpsState.valid || lat === null) return;
+  if (!force && Date.now() - gpsLastObserverMove < GPS_SETTINGS.observerUpdateMs) return;
+  const site = observerSites.active();
+  const dLat = (lat - site.lat) * 111320, dLon = (lon - site.lon) * 111320 * Math.cos(lat * Math.PI / 180);
+  if (!force && site.name === GPS_SETTINGS.observerSiteName && Math.hypot(dLat, dLon) < GPS_SETTINGS.observerMinMove_m) return;
+  gpsLastObserverMove = Date.now();
+  const previous = observerSites.sites.find(s => s.name === GPS_SETTINGS.observerSiteName);
+  observerSites.upsert({
+    name: GPS_SETTINGS.observerSiteName,
+    lon: Number(lon.toFixed(6)),
+    lat: Number(lat.toFixed(6)),
+    alt_m: alt_m === null ? (previous?.alt_m ?? 0) : Math.round(alt_m + (geoidSep_m || 0)),
+    horizon_mask: previous?.horizon_mask,
+    transient: true
+  });
+}
+
+function feedNMEALines(lines) {
+  for (const line of lines) {
+    const text = line.trim();
+    if (!text) continue;
+    const msg = parseNMEASentence(text);
+    gpsLogLines.push(msg.error ? `✗ ${text} (${msg.error})` : text);
+    if (applyNMEASentence(gpsState, msg)) gpsFixUpdated();
+  }
+  gpsLogLines.splice(0, Math.max(0, gpsLogLines.length - GPS_SETTINGS.logLines));
+  gpsReceiverFeature.setProperties({
+    fix: NMEA_FIX_QUALITY[gpsState.quality] || String(gpsState.quality),
+    satellites_used: gpsState.satsUsed,
+    hdop: gpsState.hdop,
+    speed_kmh: gpsState.speed_kmh === null ? null : Number(gpsState.speed_kmh.toFixed(1)),
+    course_deg: gpsState.course_deg,
+    time: gpsState.time ? gpsState.time.toISOString() : null
+  });
+  renderGPSConsole();
+}
+
+// -------------------------
+// Sources: log replay and Web Serial
+async function stopGPSInput(message = null) {
+  const { kind, name, timer, reader, pipe, port } = gpsInput;
+  clearTimeout(timer);
+  Object.assign(gpsInput, { kind: null, timer: null, epochs: null, index: 0, port: null, reader: null, pipe: null });
+  if (kind === 'serial') {
+    try {
+      await reader?.cancel();
+      await pipe;
+      await port?.close();
+    } catch (err) {
+      console.warn("[GPS] closing the serial port failed:", err);
+    }
+  }
+  if (kind) {
+    console.log(`[GPS] ${kind} stopped`);
+    setGPSStatus(message || (kind === 'replay' ? `Replay of ${name} stopped` : 'Receiver disconnected'));
+  }
+  renderGPSConsole();
+}
+
+function replayRate() {
+  return Number(document.getElementById('gps-replay-rate')?.value) || 1;
+}
+
+function replayNextEpoch() {
+  const { epochs, index } = gpsInput;
+  if (!epochs) return;
+  gpsInput.index = index + 1;
+  feedNMEALines(epochs[index].lines);
+  const next = epochs[index + 1];
+  if (!next) {
+    console.log(`[GPS] replay of ${gpsInput.name} finished`);
+    stopGPSInput(`Replay of ${gpsInput.name} finished`);
+    return;
+  }
+  let gapMs = 1000;
+  if (next.timeOfDay !== null && epochs[index].timeOfDay !== null) {
+    gapMs = (next.timeOfDay - epochs[index].timeOfDay) * 1000;
+    if (gapMs < 0) gapMs += 86400 * 1000; // past midnight UTC
+  }
+  gpsInput.timer = setTimeout(replayNextEpoch, Math.min(gapMs, GPS_SETTINGS.replayMaxGapMs) / replayRate());
+}
+
+async function replayNMEALog(text, name) {
+  await stopGPSInput();
+  const epochs = groupNMEAEpochs(text);
+  if (!epochs.length) {
+    setGPSStatus(`${name}: no NMEA sentences found`);
+    return;
+  }
+  resetGPSState();
+  Object.assign(gpsInput, { kind: 'replay', name, epochs, index: 0 });
+  console.log(`[GPS] replaying ${name} (${epochs.length} epochs)`);
+  replayNextEpoch();
+}
+
+async function connectSerialReceiver(baudRate) {
+  if (!navigator.serial) {
+    setGPSStatus('Web Serial needs Chrome or Edge, on https:// or localhost.');
+    return;
+  }
+  let port;
+  try {
+    port = await navigator.serial.requestPort();
+  } catch (err) {
+    setGPSStatus('No receiver selected.'); // the chooser was cancelled
+    return;
+  }
+  await stopGPSInput();
+  try {
+    await port.open({ baudRate });
+  } catch (err) {
+    setGPSStatus(`Could not open the port: ${err.message}`);
+    return;
+  }
+  resetGPSState();
+  const decoder = new TextDecoderStream();
+  const reader = decoder.readable.getReader(); // stopGPSInput() clears gpsInput.reader while a read may still resolve
+  Object.assign(gpsInput, {
+    kind: 'serial',
+    name: `serial, ${baudRate} baud`,
+    port,
+    pipe: port.readable.pipeTo(decoder.writable).catch(() => {}),
+    reader
+  });
+  console.log(`[GPS] receiver connected at ${baudRate} baud`);
+  renderGPSConsole();
+
+  let buffer = '', endMessage = null;
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop().slice(-1024); // a wrong baud rate never sends a newline
+      feedNMEALines(lines);
+    }
+  } catch (err) {
+    console.warn("[GPS] serial read failed:", err);
+    endMessage = `Receiver disconnected: ${err.message}`;
+  } finally {
+    if (gpsInput.port === port) await stopGPSInput(endMessage); // unplugged rather than stopped from the panel
+  }
+}
+
+// -------------------------
+// Console panel
+function setGPSStatus(msg) {
+  const el = document.getElementById('gps-status');
+  if (el) el.textContent = msg;
+}
+
+function gpsValue(v, digits, unit = '') {
+  return typeof v === 'number' ? `${v.toFixed(digits)}${unit}` : '–';
+}
+
+function renderGPSConsole() {
+  const s = gpsState;
+  const running = !!gpsInput.kind;
+  document.getElementById('gps-stop')?.toggleAttribute('disabled', !running);
+
+  if (running) {
+    setGPSStatus(gpsInput.kind === 'replay'
+      ? `Replaying ${gpsInput.name} · epoch ${gpsInput.index} / ${gpsInput.epochs.length}`
+      : `Receiver on ${gpsInput.name}`);
+  }
+
+  const fixEl = document.getElementById('gps-fix');
+  if (fixEl) {
+    const inView = gpsSatellitesInView(s);
+    const fix = NMEA_FIX_QUALITY[s.quality] || `quality ${s.quality}`;
+    fixEl.innerHTML = [
+      smallTableRow('Fix', `<span style="color:${s.valid ? '#8bc34a' : '#ffb300'}">${escapeHtml(fix)}</span>${s.fixType ? ` · ${NMEA_FIX_TYPE[s.fixType] || s.fixType}` : ''}`),
+      smallTableRow('Time', s.time ? formatUTC(s.time) : '–'),
+      smallTableRow('Position', s.lat !== null ? `${s.lat.toFixed(6)}°, ${s.lon.toFixed(6)}°` : '–'),
+      smallTableRow('Altitude', `${gpsValue(s.alt_m, 1, ' m')} MSL`),
+      smallTableRow('Satellites', `${s.satsUsed ?? '–'} used · ${inView.length} in view`),
+      smallTableRow('DOP', `P ${gpsValue(s.pdop, 1)} · H ${gpsValue(s.hdop, 1)} · V ${gpsValue(s.vdop, 1)}`),
+      smallTableRow('Speed / heading', `${gpsValue(s.speed_kmh, 1, ' km/h')} · ${gpsValue(s.course_deg, 0, '°')}`),
+      smallTableRow('Sentences', `${s.counts.sentences}${s.counts.errors ? ` · <span style="color:#ff7043">${s.counts.errors} rejected</span>` : ''}`)
+    ].join('');
+    renderGPSSatellites(inView);
+  }
+
+  const logEl = document.getElementById('gps-log');
+  if (logEl) logEl.textContent = gpsLogLines.join('\n');
+}
+
+// satellites in view with a signal-strength bar (SNR 0-50 dB-Hz), used ones highlighted
+function renderGPSSatellites(sats) {
+  const el = document.getElementById('gps-satellites');
+  if (!el) return;
+  if (!sats.length) {
+    el.innerHTML = '<div class="small text-secondary">No satellites reported (GSV).</div>';
+    return;
+  }
+  sats.sort((a, b) => a.system.localeCompare(b.system) || a.prn - b.prn);
+  el.innerHTML = `<table class="data-table">
+    <thead><tr><th>System</th><th>PRN</th><th>El</th><th>Az</th><th>SNR</th></tr></thead>
+    <tbody>${sats.map(sat => `<tr class="${sat.used ? 'gps-sat-used' : ''}">
+      <td>${escapeHtml(sat.system)}</td><td>${sat.prn}</td>
+      <td>${gpsValue(sat.elevation_deg, 0, '°')}</td><td>${gpsValue(sat.azimuth_deg, 0, '°')}</td>
+      <td><span class="gps-snr"><span style="width:${Math.min(100, (sat.snr_db || 0) * 2)}%"></span></span> ${sat.snr_db ?? '–'}</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+}
+
+function initGPSConsole() {
+  const logInput = document.getElementById('gps-log-file');
+  logInput?.addEventListener('change', async () => {
+    const file = logInput.files[0];
+    logInput.value = '';
+    if (file) replayNMEALog(await file.text(), file.name);
+  });
+  document.getElementById('gps-sample')?.addEventListener('click', async () => {
+    try {
+      const resp = await fetch(GPS_SETTINGS.sampleLog);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      replayNMEALog(await resp.text(), GPS_SETTINGS.sampleLog.split('/').pop());
+    } catch (err) {
+      setGPSStatus(`Could not load the sample log: ${err.message}`);
+    }
+  });
+  document.getElementById('gps-serial')?.addEventListener('click', () => {
+    connectSerialReceiver(Number(document.getElementById('gps-baud')?.value) || 9600);
+  });
+  document.getElementById('gps-stop')?.addEventListener('click', () => stopGPSInput());
+  document.getElementById('gps-clear-track')?.addEventListener('click', clearGPSTrack);
+  document.getElementById('gps-show-track')?.addEventListener('change', e => gpsLayer.setVisible(e.target.checked));
+  document.getElementById('gps-follow-observer')?.addEventListener('change', e => { if (e.target.checked) moveObserverToReceiver(true); });
+  document.getElementById('gps-collapse')?.addEventListener('click', e => {
+    const collapsed = document.getElementById('gps-console')?.classList.toggle('collapsed');
+    e.target.textContent = collapsed ? '▴' : '▾';
+  });
+  if (!navigator.serial) document.getElementById('gps-serial')?.setAttribute('title', 'Web Serial needs Chrome or Edge, on https:// or localhost');
+  setGPSStatus('No receiver. Replay a log or connect one.');
+  renderGPSConsole();
+}
+
+initGPSConsole();
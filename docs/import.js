@@ -0,0 +1,326 @@
+// Import of user files dropped on the map (or picked in the Imported layers panel). Each file becomes its
+// own layer: GeoJSON / KML features styled by makeFeatureStyle(), TLE / OMM / SatNOGS files (anything
+// ingestPayload() reads) as propagated satellites and stations in a WebGL layer, GeoTIFF scenes as raster products
+// (raster.js). Layers marked "keep" are stored as the original file in IndexedDB and re-imported on load.
+// Loaded after raster.js.
+
+const IMPORT_DB_NAME = 'ae2-imports';
+const IMPORT_DB_STORE = 'files';
+const MAP_FEATURE_TYPES = ['satellite', 'station', 'ground_station', 'orbit']; // kept on import (an exported observer is just a place)
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// { id, name, fileName, kind: 'vector' | 'catalog' | 'raster', layer, product, summary, blob, keep }
+const importedLayers = [];
+let importDBPromise = null;
+
+// -------------------------
+// Persistence (IndexedDB: the files can be far larger than localStorage allows)
+function importDB() {
+  if (!importDBPromise) {
+    importDBPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+      const req = indexedDB.open(IMPORT_DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(IMPORT_DB_STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return importDBPromise;
+}
+
+// run fn(store) in one transaction; resolves with the result of the request fn returns
+async function withImportStore(mode, fn) {
+  const db = await importDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_DB_STORE, mode);
+    const req = fn(tx.objectStore(IMPORT_DB_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function saveImportedFile(entry) {
+  const record = { id: entry.id, fileName: entry.fileName, blob: entry.blob, visible: entry.layer.getVisible(), addedAt: entry.addedAt };
+  return withImportStore('readwrite', store => store.put(record))
+    .catch(err => console.warn("[IMPORT] could not store", entry.name, err));
+}
+
+function deleteImportedFile(entry) {
+  return withImportStore('readwrite', store => store.delete(entry.id))
+    .catch(err => console.warn("[IMPORT] could not delete", entry.name, err));
+}
+
+// -------------------------
+// File formats
+function isGeoTIFFBytes(buffer) {
+  const b = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  return (b[0] === 0x49 && b[1] === 0x49 && (b[2] === 42 || b[2] === 43) && b[3] === 0)
+    || (b[0] === 0x4d && b[1] === 0x4d && b[2] === 0 && (b[3] === 42 || b[3] === 43));
+}
+
+function isGeoJSON(data) {
+  return !!data && typeof data === 'object' && GEOJSON_TYPES.includes(data.type);
+}
+
+// features keep their own attributes; `type` picks the makeFeatureStyle() branch and the info panel,
+// so features exported from this map keep theirs and everything else becomes an area, path or place
+function prepareImportedFeature(feature, layerName) {
+  const type = feature.get('type');
+  if (!MAP_FEATURE_TYPES.includes(type)) {
+    if (type !== undefined) feature.set('source_type', type, true);
+    const geometry = feature.getGeometry();
+    const kind = /Polygon/.test(geometry.getType()) ? 'area' : isLineGeometry(geometry) ? 'path' : 'place';
+    feature.set('type', kind, true);
+  }
+  feature.set('imported_layer', layerName, true);
+  return feature;
+}
+
+function importVectorLayer(features, name) {
+  const withGeometry = features.filter(f => f.getGeometry());
+  if (!withGeometry.length) throw new Error('no features with a geometry');
+  withGeometry.forEach(f => prepareImportedFeature(f, name));
+  const layer = new ol.layer.Vector({
+    source: new ol.source.Vector({ features: withGeometry }),
+    style: feature => makeFeatureStyle(feature)
+  });
+  map.addLayer(layer);
+  return { kind: 'vector', layer, summary: `${withGeometry.length} feature${withGeometry.length === 1 ? '' : 's'}` };
+}
+
+// imported catalogs keep makeFeatureStyle()'s icons, drawn with WebGL like the other satellite layers;
+// satellites are hidden by the same regime / group filters and dimmed in the Earth's shadow
+const IMPORTED_CATALOG_WEBGL_STYLE = [
+  {
+    filter: ['==', ['get', 'type'], 'station'],
+    style: { 'icon-src': ICONS.station, 'icon-scale': 0.08, 'icon-anchor': [0.5, 1] }
+  },
+  {
+    filter: ['all', ['==', ['get', 'type'], 'satellite'], ['==', ['get', 'shown'], 1]],
+    style: {
+      'icon-src': ICONS.satellite,
+      'icon-scale': 0.06,
+      'icon-opacity': ['case', ['==', ['get', 'illumination'], 'umbra'], 0.45, 1]
+    }
+  }
+];
+
+function importCatalogLayer(text, name, fileName) {
+  const result = ingestPayload(text, { source: name });
+  reportIngestResult(name, fileName, result);
+  const stations = result.stations.map(stationFeature).filter(Boolean);
+  const satellites = result.satellites.map(rec => satelliteFeature(rec)).filter(Boolean);
+  if (!stations.length && !satellites.length) {
+    const problem = result.issues.find(i => i.level === 'error');
+    throw new Error(problem ? problem.message : 'no satellites or stations with a position or TLE');
+  }
+  [...stations, ...satellites].forEach(f => f.set('imported_layer', name, true));
+  satellites.forEach(f => styleSatelliteFeature(attachSatrec(f)));
+  const layer = createSatelliteLayer([...stations, ...satellites], IMPORTED_CATALOG_WEBGL_STYLE);
+  if (satellites.length) {
+    extraSatelliteLayers.push(layer);
+    relinkTransmitters();
+  }
+  const parts = [];
+  if (satellites.length) parts.push(`${satellites.length} satellite${satellites.length === 1 ? '' : 's'}`);
+  if (stations.length) parts.push(`${stations.length} station${stations.length === 1 ? '' : 's'}`);
+  if (result.issues.length) parts.push(`${result.issues.length} issue${result.issues.length === 1 ? '' : 's'}`);
+  return { kind: 'catalog', layer, summary: parts.join(', ') };
+}
+
+async function importRasterLayer(buffer, name) {
+  const product = await addGeoTIFFProduct(name, buffer);
+  return { kind: 'raster', layer: product.layer, product, summary: `${product.result.width}×${product.result.height} px` };
+}
+
+function uniqueImportName(fileName) {
+  const taken = name => importedLayers.some(e => e.name === name) || findRasterProduct(name);
+  let name = fileName, n = 2;
+  while (taken(name)) name = `${fileName} (${n++})`;
+  return name;
+}
+
+// -------------------------
+// Imported layers
+async function importFile(blob, fileName, { keep = false, id = null, visible = true, addedAt = Date.now() } = {}) {
+  const name = uniqueImportName(fileName);
+  const buffer = await blob.arrayBuffer();
+  let built;
+  if (isGeoTIFFBytes(buffer)) {
+    built = await importRasterLayer(buffer, name);
+  } else {
+    const text = new TextDecoder().decode(buffer); // drops a UTF-8 BOM
+    const trimmed = text.trimStart();
+    let json = null;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try { json = JSON.parse(trimmed); } catch (err) { throw new Error(`invalid JSON: ${err.message}`); }
+    }
+    if (isGeoJSON(json)) {
+      built = importVectorLayer(new ol.format.GeoJSON().readFeatures(json, { featureProjection: 'EPSG:3857' }), name);
+    } else if (/^(<\?xml[^>]*>\s*)?<kml[\s>]/i.test(trimmed) || /\.kml$/i.test(fileName)) {
+      built = importVectorLayer(new ol.format.KML({ extractStyles: false }).readFeatures(text, { featureProjection: 'EPSG:3857' }), name);
+    } else {
+      built = importCatalogLayer(text, name, fileName);
+    }
+  }
+  const entry = Object.assign({ id: id || `${addedAt}-${Math.random().toString(36).slice(2, 8)}`, name, fileName, blob, keep, addedAt }, built);
+  entry.layer.set('title', name);
+  entry.layer.setVisible(visible);
+  // toggled here or (rasters) in the raster panel: both lists and the stored state follow
+  entry.layer.on('change:visible', () => {
+    renderImportList();
+    if (entry.product) renderRasterProductList();
+    if (entry.keep) saveImportedFile(entry);
+  });
+  if (entry.product) {
+    entry.product.onRemove = () => forgetImportedLayer(entry);
+    renderRasterProductList();
+  }
+  importedLayers.push(entry);
+  if (keep && !id) saveImportedFile(entry);
+  renderImportList();
+  console.log(`[IMPORT] ${name}: ${entry.summary}`);
+  return entry;
+}
+
+function forgetImportedLayer(entry) {
+  const i = importedLayers.indexOf(entry);
+  if (i < 0) return;
+  importedLayers.splice(i, 1);
+  if (entry.keep) deleteImportedFile(entry);
+  renderImportList();
+}
+
+function removeImportedLayer(entry) {
+  if (entry.product) return removeRasterProduct(entry.product); // calls forgetImportedLayer via onRemove
+  const features = entry.layer.getSource().getFeatures();
+  const ring = selectionLayer.getSource().getFeatures()[0];
+  if (ring && features.some(f => f.getGeometry() === ring.getGeometry())) highlightSatellite(null);
+  if (selectedProps?.imported_layer === entry.name) clearViewerPanels();
+  map.removeLayer(entry.layer);
+  const k = extraSatelliteLayers.indexOf(entry.layer);
+  if (k >= 0) {
+    extraSatelliteLayers.splice(k, 1);
+    relinkTransmitters();
+    refreshSatelliteClusters();
+  }
+  forgetImportedLayer(entry);
+}
+
+function setImportedLayerKept(entry, keep) {
+  entry.keep = keep;
+  if (keep) saveImportedFile(entry); else deleteImportedFile(entry);
+}
+
+function zoomToImportedLayer(entry) {
+  let extent;
+  if (entry.product) {
+    const { bbox, epsg } = entry.product.result;
+    extent = ol.proj.transformExtent(bbox, rasterProjection(epsg), map.getView().getProjection());
+  } else {
+    extent = entry.layer.getSource().getExtent();
+  }
+  if (extent && !ol.extent.isEmpty(extent)) map.getView().fit(extent, { padding: [50, 50, 50, 50], maxZoom: 12, duration: 400 });
+}
+
+// import one file after another so a bad one only costs its own layer
+async function importFiles(files) {
+  const status = document.getElementById('import-status');
+  const say = msg => { if (status) status.textContent = msg; };
+  const keep = document.getElementById('import-keep')?.checked === true;
+  const messages = [];
+  for (const file of files) {
+    say(`Importing ${file.name}…`);
+    try {
+      const entry = await importFile(file, file.name, { keep });
+      messages.push(`${entry.name}: ${entry.summary}`);
+      if (files.length === 1) zoomToImportedLayer(entry);
+    } catch (err) {
+      console.warn("[IMPORT] failed:", file.name, err);
+      messages.push(`${file.name}: ${err.message}`);
+    }
+  }
+  say(messages.join(' · '));
+}
+
+async function restoreImportedFiles() {
+  let records;
+  try {
+    records = await withImportStore('readonly', store => store.getAll());
+  } catch (err) {
+    console.warn("[IMPORT] stored layers unavailable:", err.message);
+    return;
+  }
+  records.sort((a, b) => a.addedAt - b.addedAt);
+  for (const rec of records) {
+    try {
+      await importFile(rec.blob, rec.fileName, { keep: true, id: rec.id, visible: rec.visible !== false, addedAt: rec.addedAt });
+    } catch (err) {
+      console.warn("[IMPORT] could not restore", rec.fileName, err);
+    }
+  }
+}
+
+// -------------------------
+// Panel and drop target
+function renderImportList() {
+  const list = document.getElementById('import-layer-list');
+  if (!list) return;
+  list.innerHTML = importedLayers.map(e => `
+    <li data-id="${escapeHtml(e.id)}">
+      <input type="checkbox" class="import-visible" ${e.layer.getVisible() ? 'checked' : ''} title="Show on map">
+      <span class="import-name" title="${escapeHtml(e.fileName)}">${escapeHtml(e.name)}</span>
+      <span class="import-summary">${escapeHtml(e.summary)}</span>
+      <label class="import-keep" title="Keep after reload"><input type="checkbox" class="import-keep-toggle" ${e.keep ? 'checked' : ''}> keep</label>
+      <button class="import-zoom" title="Zoom to layer">⌖</button>
+      <button class="import-remove" title="Remove layer">×</button>
+    </li>`).join('') || '<li class="text-secondary">Nothing imported yet.</li>';
+}
+
+function initImportPanel() {
+  const target = map.getTargetElement();
+  const hasFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+  target?.addEventListener('dragover', e => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    target.classList.add('drop-target');
+  });
+  target?.addEventListener('dragleave', e => {
+    if (!target.contains(e.relatedTarget)) target.classList.remove('drop-target');
+  });
+  target?.addEventListener('drop', e => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    target.classList.remove('drop-target');
+    importFiles([...e.dataTransfer.files]);
+  });
+
+  const input = document.getElementById('import-file');
+  input?.addEventListener('change', async () => {
+    await importFiles([...input.files]);
+    input.value = '';
+  });
+
+  const list = document.getElementById('import-layer-list');
+  const entryOf = el => importedLayers.find(e => e.id === el.closest('li[data-id]')?.dataset.id);
+  list?.addEventListener('click', e => {
+    const entry = entryOf(e.target);
+    if (!entry) return;
+    if (e.target.classList.contains('import-remove')) removeImportedLayer(entry);
+    else if (e.target.classList.contains('import-zoom')) zoomToImportedLayer(entry);
+  });
+  list?.addEventListener('change', e => {
+    const entry = entryOf(e.target);
+    if (!entry) return;
+    if (e.target.classList.contains('import-visible')) entry.layer.setVisible(e.target.checked);
+    else if (e.target.classList.contains('import-keep-toggle')) {
+      setImportedLayerKept(entry, e.target.checked);
+    }
+  });
+
+  renderImportList();
+}
+
+initImportPanel();
+layersReady.then(restoreImportedFiles);
@@ -0,0 +1,454 @@
+// Data ingestion: explicit adapters that turn each supported file format into one internal model,
+// with every validation problem recorded for the data-health panel instead of being dropped.
+// Loaded after propagation.js (TLE validation) and before map.js (which builds features from the records).
+//
+// Internal model, as returned by ingestPayload():
+//   satellites:   { name, norad_id, object_id, tle: { line1, line2 } | null, position: { lat, lon } | null,
+//                   altitude_km, look: { azimuth_deg, elevation_deg, range_km } | null, observed_at: Date | null,
+//                   source, raw }
+//   stations:     { id, name, lat, lon, elevation_m, country, status, source, raw }
+//   orbits:       { name, norad_id, track: [[lat, lon], ...], period_min, source, raw }
+//   transmitters: SatNOGS transmitter records as-is (transmitters.js normalizes them)
+//   issues:       { level: 'error' | 'warning', message, item }
+
+async function loadJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+  return res.json();
+}
+
+async function loadText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+  return res.text();
+}
+
+function finiteNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function integerId(v) {
+  const n = finiteNumber(v);
+  return Number.isInteger(n) ? n : null;
+}
+
+function isValidLatLon(lat, lon) {
+  return lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+function emptyIngestResult() {
+  return { satellites: [], stations: [], orbits: [], transmitters: [], issues: [] };
+}
+
+// -------------------------
+// 2LE / 3LE text
+function parseTLEText(text, out) {
+  const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+  let name = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('1 ') && lines[i + 1]?.startsWith('2 ')) {
+      const line1 = line, line2 = lines[i + 1];
+      i++;
+      const norad = noradFromTLE(line1);
+      const item = name || (norad !== null ? `NORAD ${norad}` : `line ${i}`);
+      const problem = validateTLE(line1, line2);
+      if (problem) {
+        out.issues.push({ level: 'error', message: `TLE rejected: ${problem}`, item });
+      } else {
+        out.satellites.push({ name: name || `NORAD ${norad}`, norad_id: norad, tle: { line1, line2 }, raw: { name, line1, line2 } });
+      }
+      name = null;
+    } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+      out.issues.push({ level: 'error', message: `TLE line ${line[0]} without its partner`, item: name || line.slice(0, 20) });
+      name = null;
+    } else {
+      if (name) out.issues.push({ level: 'warning', message: 'Name line without TLE lines', item: name });
+      name = line.replace(/^0 /, '').trim(); // 3LE name lines are sometimes written as "0 NAME"
+    }
+  }
+  if (name) out.issues.push({ level: 'warning', message: 'Name line without TLE lines', item: name });
+}
+
+// -------------------------
+// CelesTrak OMM (GP data): JSON, XML and CSV share the CCSDS keyword names
+const OMM_REQUIRED = ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID'];
+
+function ommEpoch(epoch) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(String(epoch || ''));
+  if (!m) return null;
+  const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) + Number(m[6]) * 1000;
+  return { year: +m[1], dayOfYear: (ms - Date.UTC(+m[1], 0, 1)) / 86400000 + 1 };
+}
+
+// TLE "assumed decimal point" exponent field, e.g. 0.000059442 -> " 59442-4"
+function tleExponentField(v) {
+  if (!v) return ' 00000-0';
+  let exp = Math.floor(Math.log10(Math.abs(v))) + 1;
+  let mantissa = Math.round(Math.abs(v) / Math.pow(10, exp) * 1e5);
+  if (mantissa >= 1e5) { mantissa = Math.round(mantissa / 10); exp++; }
+  if (exp < -9) return ' 00000-0';
+  return (v < 0 ? '-' : ' ') + String(mantissa).padStart(5, '0') + (exp < 0 ? '-' : '+') + Math.abs(exp);
+}
+
+// Build the equivalent TLE lines from OMM mean elements, so the SGP4 path stays the same for every source.
+// Returns { line1, line2 } or a reason string.
+function ommToTLE(omm) {
+  const missing = OMM_REQUIRED.filter(k => omm[k] === undefined || omm[k] === null || omm[k] === '');
+  if (missing.length) return `missing ${missing.join(', ')}`;
+  const norad = integerId(omm.NORAD_CAT_ID);
+  if (norad === null || norad < 0) return 'NORAD_CAT_ID is not a number';
+  if (norad > 99999) return 'catalog numbers above 99999 do not fit a TLE';
+  const epoch = ommEpoch(omm.EPOCH);
+  if (!epoch) return `EPOCH "${omm.EPOCH}" is not an ISO date`;
+  const num = k => Number(omm[k] ?? 0);
+  const angle = k => num(k).toFixed(4).padStart(8, ' ');
+  const ndot = num('MEAN_MOTION_DOT');
+  const intl = /^(\d{2})(\d{2})-(\d{3})(\w{0,3})$/.exec(String(omm.OBJECT_ID || '').trim());
+  const sat = String(norad).padStart(5, '0');
+
+  const body1 = [
+    '1',
+    sat + (String(omm.CLASSIFICATION_TYPE || 'U').trim()[0] || 'U'),
+    (intl ? intl[2] + intl[3] + intl[4] : '').padEnd(8, ' '),
+    String(epoch.year % 100).padStart(2, '0') + epoch.dayOfYear.toFixed(8).padStart(12, '0'),
+    (ndot < 0 ? '-' : ' ') + Math.min(Math.abs(ndot), 0.99999999).toFixed(8).slice(1),
+    tleExponentField(num('MEAN_MOTION_DDOT')),
+    tleExponentField(num('BSTAR')),
+    String(integerId(omm.EPHEMERIS_TYPE) ?? 0),
+    String((integerId(omm.ELEMENT_SET_NO) ?? 999) % 10000).padStart(4, ' ')
+  ].join(' ');
+  const body2 = [
+    '2',
+    sat,
+    angle('INCLINATION'),
+    angle('RA_OF_ASC_NODE'),
+    String(Math.round(num('ECCENTRICITY') * 1e7)).padStart(7, '0'),
+    angle('ARG_OF_PERICENTER'),
+    angle('MEAN_ANOMALY'),
+    num('MEAN_MOTION').toFixed(8).padStart(11, ' ') + String((integerId(omm.REV_AT_EPOCH) ?? 0) % 100000).padStart(5, ' ')
+  ].join(' ');
+  const line1 = body1 + tleChecksum(body1), line2 = body2 + tleChecksum(body2);
+  const problem = validateTLE(line1, line2);
+  return problem ? `elements do not form a valid TLE (${problem})` : { line1, line2 };
+}
+
+function ingestOMMRecords(records, out) {
+  records.forEach((omm, i) => {
+    const item = omm.OBJECT_NAME || (omm.NORAD_CAT_ID ? `NORAD ${omm.NORAD_CAT_ID}` : `record ${i + 1}`);
+    const tle = ommToTLE(omm);
+    if (typeof tle === 'string') {
+      out.issues.push({ level: 'error', message: `OMM rejected: ${tle}`, item });
+      return;
+    }
+    out.satellites.push({
+      name: omm.OBJECT_NAME || item,
+      norad_id: integerId(omm.NORAD_CAT_ID),
+      object_id: omm.OBJECT_ID || null,
+      tle,
+      raw: omm
+    });
+  });
+}
+
+// flat { KEYWORD: value } objects from CelesTrak's OMM XML (one per <omm> element)
+function parseOMMXML(text) {
+  const blocks = text.match(/<omm[\s>][\s\S]*?<\/omm>/gi) || [];
+  return blocks.map(block => {
+    const rec = {};
+    for (const m of block.matchAll(/<([A-Z_]+)>\s*([^<]*?)\s*<\/\1>/g)) rec[m[1]] = m[2];
+    return rec;
+  });
+}
+
+// RFC 4180-ish: quoted fields may contain commas and doubled quotes
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function parseOMMCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  const keys = (header || []).map(h => h.trim().toUpperCase());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+// -------------------------
+// SatNOGS: results file { stations, transmitters }, or the network API station / DB transmitter lists
+function isSatnogsStation(rec) {
+  return rec && typeof rec === 'object' && 'lat' in rec && ('lng' in rec || 'lon' in rec) && !('track' in rec);
+}
+
+function isSatnogsTransmitter(rec) {
+  return rec && typeof rec === 'object' && 'uuid' in rec && ('mode' in rec || 'downlink_low' in rec || 'description' in rec);
+}
+
+function ingestSatnogsStations(list, out) {
+  list.forEach((s, i) => {
+    const lat = finiteNumber(s.lat), lon = finiteNumber(s.lng ?? s.lon);
+    const item = s.name || (s.id !== undefined ? `station ${s.id}` : `record ${i + 1}`);
+    if (!isValidLatLon(lat, lon)) {
+      out.issues.push({ level: 'error', message: 'Station without valid coordinates', item });
+      return;
+    }
+    out.stations.push({
+      id: s.id ?? null,
+      name: s.name || `Station ${s.id ?? i + 1}`,
+      lat, lon,
+      elevation_m: finiteNumber(s.altitude ?? s.elevation_m),
+      country: s.country ?? null,
+      status: s.status ?? null,
+      raw: s
+    });
+  });
+}
+
+function ingestSatnogsTransmitters(list, out) {
+  list.forEach((t, i) => {
+    if (!t || typeof t !== 'object') {
+      out.issues.push({ level: 'error', message: 'Transmitter record is not an object', item: `record ${i + 1}` });
+      return;
+    }
+    out.transmitters.push(t);
+  });
+}
+
+// -------------------------
+// Angel's Eye backend files: positions (tle_visible.json / tle_live.json) and ground tracks (tle_orbits.json)
+// tle_visible.json: sub-satellite point + look angles from the backend's observer; tle_live.json: point + altitude
+const POSITION_SCHEMAS = [
+  { id: 'visible', lat: 'latitude_deg', lon: 'longitude_deg' },
+  { id: 'live', lat: 'latitude', lon: 'longitude' }
+];
+
+function positionSchema(rec) {
+  return rec && typeof rec === 'object' ? POSITION_SCHEMAS.find(s => s.lat in rec || s.lon in rec) || null : null;
+}
+
+function ingestPositions(list, out) {
+  list.forEach((s, i) => {
+    const schema = positionSchema(s);
+    const item = s?.name || `record ${i + 1}`;
+    const lat = schema ? finiteNumber(s[schema.lat]) : null, lon = schema ? finiteNumber(s[schema.lon]) : null;
+    const tle = (s?.tle_line1 && s?.tle_line2) ? { line1: s.tle_line1, line2: s.tle_line2 } : null;
+    const tleProblem = tle ? validateTLE(tle.line1, tle.line2) : null;
+    if (tleProblem) out.issues.push({ level: 'warning', message: `TLE ignored: ${tleProblem}`, item });
+    const usableTle = tle && !tleProblem ? tle : null;
+    if (!isValidLatLon(lat, lon) && !usableTle) {
+      out.issues.push({ level: 'error', message: 'Satellite without valid coordinates or TLE', item });
+      return;
+    }
+    const hasLook = typeof s.azimuth_deg === 'number' && typeof s.altitude_deg === 'number';
+    const observed = s.timestamp ? new Date(s.timestamp) : null;
+    out.satellites.push({
+      name: s.name || `Satellite ${i + 1}`,
+      norad_id: integerId(s.norad_cat_id) ?? (usableTle ? noradFromTLE(usableTle.line1) : null),
+      tle: usableTle,
+      position: isValidLatLon(lat, lon) ? { lat, lon } : null,
+      altitude_km: finiteNumber(s.altitude_km),
+      look: hasLook ? { azimuth_deg: s.azimuth_deg, elevation_deg: s.altitude_deg, range_km: finiteNumber(s.distance_km) } : null,
+      observed_at: observed && !Number.isNaN(observed.getTime()) ? observed : null,
+      raw: s
+    });
+  });
+}
+
+function ingestOrbits(list, out) {
+  list.forEach((o, i) => {
+    const item = o?.name || `record ${i + 1}`;
+    const track = (Array.isArray(o?.track) ? o.track : []).filter(p => Array.isArray(p) && isValidLatLon(finiteNumber(p[0]), finiteNumber(p[1])));
+    const dropped = (o?.track?.length || 0) - track.length;
+    if (dropped) out.issues.push({ level: 'warning', message: `${dropped} track point${dropped > 1 ? 's' : ''} without valid coordinates`, item });
+    if (track.length < 2) {
+      out.issues.push({ level: 'error', message: 'Orbit without a usable ground track', item });
+      return;
+    }
+    out.orbits.push({ name: o.name || `Orbit ${i + 1}`, norad_id: integerId(o.norad_cat_id), track, period_min: finiteNumber(o.period_min), raw: o });
+  });
+}
+
+// -------------------------
+// Adapter registry. detect() sees the parsed JSON (`data`) or, for text formats, the raw `text`.
+const DATA_ADAPTERS = [
+  {
+    id: 'satnogs', label: 'SatNOGS',
+    detect: ({ data }) => !!data && (
+      (!Array.isArray(data) && (Array.isArray(data.stations) || Array.isArray(data.transmitters)))
+      || (Array.isArray(data) && data.length > 0 && (isSatnogsStation(data[0]) || isSatnogsTransmitter(data[0])))),
+    parse: ({ data }, out) => {
+      if (Array.isArray(data)) {
+        if (isSatnogsStation(data[0])) ingestSatnogsStations(data, out);
+        else ingestSatnogsTransmitters(data, out);
+        return;
+      }
+      ingestSatnogsStations(data.stations || [], out);
+      ingestSatnogsTransmitters(data.transmitters || [], out);
+    }
+  },
+  {
+    id: 'omm-json', label: 'CelesTrak OMM (JSON)',
+    detect: ({ data }) => !!data && [].concat(data)[0]?.MEAN_MOTION !== undefined,
+    parse: ({ data }, out) => ingestOMMRecords([].concat(data), out)
+  },
+  {
+    id: 'ae2-orbits', label: 'Ground tracks (tle_orbits)',
+    detect: ({ data }) => Array.isArray(data) && data.length > 0 && Array.isArray(data[0]?.track),
+    parse: ({ data }, out) => ingestOrbits(data, out)
+  },
+  {
+    id: 'ae2-positions', label: 'Satellite positions (tle_visible / tle_live)',
+    detect: ({ data }) => Array.isArray(data) && data.length > 0 && !!positionSchema(data[0]),
+    parse: ({ data }, out) => ingestPositions(data, out)
+  },
+  {
+    id: 'omm-xml', label: 'CelesTrak OMM (XML)',
+    detect: ({ text }) => typeof text === 'string' && /<omm[\s>]/i.test(text),
+    parse: ({ text }, out) => ingestOMMRecords(parseOMMXML(text), out)
+  },
+  {
+    id: 'omm-csv', label: 'CelesTrak OMM (CSV)',
+    detect: ({ text }) => typeof text === 'string' && /^\uFEFF?"?OBJECT_NAME"?,/i.test(text.trimStart()),
+    parse: ({ text }, out) => ingestOMMRecords(parseOMMCSV(text.replace(/^\uFEFF/, '')), out)
+  },
+  {
+    id: 'tle', label: 'TLE text (2LE / 3LE)',
+    detect: ({ text }) => typeof text === 'string' && /^1 .{67}\s*$/m.test(text) && /^2 .{67}\s*$/m.test(text),
+    parse: ({ text }, out) => parseTLEText(text, out)
+  }
+];
+
+// Report duplicates inside one source (same NORAD ID, else same name; stations by id, else name + position)
+// and keep the first occurrence.
+function dropDuplicates(list, keyOf, label, out) {
+  const seen = new Set();
+  return list.filter(rec => {
+    const key = keyOf(rec);
+    if (key === null) return true;
+    if (!seen.has(key)) { seen.add(key); return true; }
+    out.issues.push({ level: 'warning', message: `Duplicate ${label}, kept the first record`, item: rec.name || key });
+    return false;
+  });
+}
+
+function satelliteRecordKey(rec) {
+  if (rec.norad_id !== null && rec.norad_id !== undefined) return `norad:${rec.norad_id}`;
+  return rec.name ? `name:${rec.name.trim().toUpperCase()}` : null;
+}
+
+// Parse a payload (text or already-parsed JSON) with the adapter named by `format`, or the first one
+// whose detect() accepts it. Never throws: unreadable input comes back as an error issue.
+function ingestPayload(payload, { format = null, source = '' } = {}) {
+  const out = emptyIngestResult();
+  const input = { text: null, data: null };
+  if (typeof payload === 'string') {
+    input.text = payload;
+    const trimmed = payload.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        input.data = JSON.parse(trimmed);
+      } catch (err) {
+        out.issues.push({ level: 'error', message: `Invalid JSON: ${err.message}`, item: source });
+        return Object.assign(out, { adapter: null });
+      }
+    }
+  } else {
+    input.data = payload;
+  }
+  const adapter = format ? DATA_ADAPTERS.find(a => a.id === format) : DATA_ADAPTERS.find(a => a.detect(input));
+  if (!adapter) {
+    const empty = Array.isArray(input.data) && !input.data.length;
+    out.issues.push({ level: empty ? 'warning' : 'error', message: empty ? 'File contains no records' : 'Unrecognised data format', item: source });
+    return Object.assign(out, { adapter: null });
+  }
+  try {
+    adapter.parse(input, out);
+  } catch (err) {
+    out.issues.push({ level: 'error', message: `${adapter.label} parser failed: ${err.message}`, item: source });
+  }
+  out.satellites = dropDuplicates(out.satellites, satelliteRecordKey, 'satellite', out);
+  out.stations = dropDuplicates(out.stations, s => s.id !== null && s.id !== undefined ? `id:${s.id}` : `${s.name}@${s.lat},${s.lon}`, 'station', out);
+  out.transmitters = dropDuplicates(out.transmitters, t => t.uuid ?? null, 'transmitter UUID', out);
+  [out.satellites, out.stations, out.orbits].forEach(list => list.forEach(rec => { rec.source = source; }));
+  return Object.assign(out, { adapter: adapter.id });
+}
+
+// -------------------------
+// Data health: one entry per source, kept up to date for the sidebar panel (datahealth.js)
+const dataHealth = {
+  sources: new Map(), // name -> { name, url, adapter, counts, issues, error, loadedAt }
+  listeners: [],
+
+  report(entry) {
+    this.sources.set(entry.name, entry);
+    this.listeners.forEach(fn => fn(entry));
+  },
+  onChange(fn) { this.listeners.push(fn); }
+};
+
+// Fetch and ingest one source; the outcome (including a failed download) is reported to dataHealth.
+async function loadDataSource({ name, url, format = null }) {
+  let result;
+  let error = null;
+  try {
+    result = ingestPayload(await loadText(url), { format, source: name });
+  } catch (err) {
+    error = err.message || String(err);
+    result = Object.assign(emptyIngestResult(), { adapter: null });
+    result.issues.push({ level: 'error', message: error, item: url });
+  }
+  reportIngestResult(name, url, result, error);
+  return Object.assign(result, { error });
+}
+
+function reportIngestResult(name, url, result, error = null) {
+  dataHealth.report({
+    name, url,
+    adapter: result.adapter,
+    counts: { satellites: result.satellites.length, stations: result.stations.length, orbits: result.orbits.length, transmitters: result.transmitters.length },
+    issues: result.issues,
+    error,
+    loadedAt: new Date()
+  });
+}
+
+// Combine satellite records from several sources: the same satellite (by NORAD ID, else by name) becomes
+// one record, later sources filling in what earlier ones lacked (e.g. a TLE for a position-only entry).
+function mergeSatelliteRecords(records) {
+  const byNorad = new Map(), byName = new Map(), merged = [];
+  const nameKey = rec => (rec.name || '').trim().toUpperCase();
+  for (const rec of records) {
+    const hasNorad = rec.norad_id !== null && rec.norad_id !== undefined;
+    const prev = (hasNorad && byNorad.get(rec.norad_id)) || (nameKey(rec) && byName.get(nameKey(rec)));
+    const target = prev || Object.assign({}, rec);
+    if (prev) {
+      ['norad_id', 'object_id', 'tle', 'position', 'altitude_km', 'look'].forEach(k => {
+        if ((prev[k] === null || prev[k] === undefined) && rec[k] !== null && rec[k] !== undefined) prev[k] = rec[k];
+      });
+    } else {
+      merged.push(target);
+    }
+    if (target.norad_id !== null && target.norad_id !== undefined) byNorad.set(target.norad_id, target);
+    if (nameKey(target)) byName.set(nameKey(target), target);
+  }
+  return merged;
+}
@@ -0,0 +1,258 @@
+// Live satellite feed: WebSocket or Server-Sent Events push, with polling of tle_live.json as the fallback.
+// Updates are matched to markers by NORAD ID (else name), markers come and go with the feed, and
+// satellites without a recent update are drawn as stale. Loaded after map.js (fills liveSatLayer).
+//
+// Feed messages (JSON; SSE may also use the event names "snapshot", "update" and "remove"):
+//   [ record, ... ] or { "type": "snapshot", "satellites": [...] }  full set, markers not listed are removed
+//   { "type": "update", "satellites": [...] }                        add / move the listed satellites only
+//   { "type": "remove", "ids": [25544, "SOME NAME"] }                NORAD IDs or names
+// Records use the tle_live.json fields (name, latitude, longitude, altitude_km, optional norad_cat_id,
+// tle_line1 / tle_line2 and an ISO timestamp). tools/live-feed-stub.js serves a test feed; point the
+// page at it with ?live=ws://localhost:8765/live or ?live=http://localhost:8765/events.
+
+const LIVE_DATA_SOURCE = { name: 'Live positions', url: 'data/tle_live.json' };
+const LIVE_FEED = {
+  url: new URLSearchParams(location.search).get('live') || null, // ws(s):// = WebSocket, http(s):// = SSE; null = poll only
+  pollIntervalMs: 5000,
+  staleAfterMs: 30 * 1000,
+  retryInitialMs: 1000,
+  retryMaxMs: 60 * 1000
+};
+
+const liveFeaturesByKey = new Map(); // satelliteRecordKey() -> feature
+const liveFeed = {
+  transport: null, // 'websocket' | 'sse' while a push connection is open, else null (polling)
+  connection: null,
+  attempts: 0,
+  retryTimer: null,
+  retryAt: null,
+  pollTimer: null,
+  lastMessageAt: null
+};
+
+function ensureLiveSatLayer() {
+  if (!liveSatLayer) {
+    liveSatLayer = createSatelliteLayer();
+    const toggle = document.getElementById('toggle-live');
+    if (toggle) liveSatLayer.setVisible(toggle.checked); // may have been unchecked (or restored from a link) before the first data
+    toggle?.addEventListener('change', e => liveSatLayer.setVisible(e.target.checked));
+  }
+  return liveSatLayer.getSource();
+}
+
+// -------------------------
+// Applying records to the layer
+function updateLiveFeature(feature, rec) {
+  const tle = rec.tle;
+  if (tle && tle.line1 !== feature.get('tle_line1')) {
+    feature.setProperties({ tle_line1: tle.line1, tle_line2: tle.line2 }, true);
+    attachSatrec(feature);
+  }
+  if (!feature.get('satrec') && rec.position) {
+    feature.getGeometry().setCoordinates(ol.proj.fromLonLat([rec.position.lon, rec.position.lat]));
+  }
+  feature.setProperties({
+    altitude_km: rec.altitude_km ?? feature.get('altitude_km'),
+    raw: rec.raw,
+    last_update: (rec.observed_at || new Date()).getTime(),
+    stale: false
+  });
+}
+
+function removeLiveFeature(key) {
+  const feature = liveFeaturesByKey.get(key);
+  if (!feature) return false;
+  liveFeaturesByKey.delete(key);
+  liveSatLayer?.getSource().removeFeature(feature);
+  const ring = selectionLayer.getSource().getFeatures()[0];
+  if (ring && ring.getGeometry() === feature.getGeometry()) highlightSatellite(null);
+  return true;
+}
+
+function applyLiveRecords(records, { snapshot = false } = {}) {
+  const source = ensureLiveSatLayer();
+  const seen = new Set();
+  let changed = false; // satellites added or removed: transmitters link to them by NORAD ID
+  records.forEach(rec => {
+    const key = satelliteRecordKey(rec);
+    if (!key) return;
+    seen.add(key);
+    const existing = liveFeaturesByKey.get(key);
+    if (existing) {
+      updateLiveFeature(existing, rec);
+      return;
+    }
+    const feature = satelliteFeature(rec);
+    if (!feature) return;
+    feature.set('last_update', (rec.observed_at || new Date()).getTime(), true);
+    styleSatelliteFeature(attachSatrec(feature));
+    liveFeaturesByKey.set(key, feature);
+    source.addFeature(feature);
+    changed = true;
+  });
+  if (snapshot) [...liveFeaturesByKey.keys()].filter(k => !seen.has(k)).forEach(k => { changed = removeLiveFeature(k) || changed; });
+  if (changed) relinkTransmitters();
+  updateLiveStaleness();
+}
+
+// ids are NORAD numbers (or numeric strings) or satellite names
+function removeLiveSatellites(ids) {
+  let changed = false;
+  (Array.isArray(ids) ? ids : []).forEach(id => {
+    const norad = integerId(id);
+    changed = removeLiveFeature(norad !== null ? `norad:${norad}` : `name:${String(id).trim().toUpperCase()}`) || changed;
+  });
+  if (changed) relinkTransmitters();
+  renderLiveStatus();
+}
+
+function updateLiveStaleness() {
+  const now = Date.now();
+  liveFeaturesByKey.forEach(feature => {
+    const stale = now - (feature.get('last_update') || 0) > LIVE_FEED.staleAfterMs;
+    if (stale !== feature.get('stale')) feature.set('stale', stale);
+  });
+  renderLiveStatus();
+}
+
+function ingestLiveRecords(satellites, { snapshot }) {
+  const result = ingestPayload(Array.isArray(satellites) ? satellites : [], { format: 'ae2-positions', source: LIVE_DATA_SOURCE.name });
+  // snapshots (and updates that had problems) show up in the data-health panel
+  if (snapshot || result.issues.length) reportIngestResult(LIVE_DATA_SOURCE.name, LIVE_FEED.url, result);
+  applyLiveRecords(result.satellites, { snapshot });
+}
+
+function handleLiveMessage(payload, eventType = null) {
+  let msg;
+  try {
+    msg = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  } catch (err) {
+    console.warn("[LIVE] ignoring malformed message:", err.message);
+    return;
+  }
+  liveFeed.lastMessageAt = Date.now();
+  const type = Array.isArray(msg) ? 'snapshot' : (msg?.type || eventType || 'update');
+  if (type === 'remove') removeLiveSatellites(msg.ids);
+  else ingestLiveRecords(Array.isArray(msg) ? msg : msg?.satellites, { snapshot: type === 'snapshot' });
+}
+
+// -------------------------
+// Transports
+async function pollLiveSource() {
+  const { satellites, error } = await loadDataSource(LIVE_DATA_SOURCE);
+  if (error) {
+    console.warn("[LIVE SATS] fetch failed:", error);
+    return;
+  }
+  if (liveFeed.transport) return; // a push connection opened while this request was in flight
+  liveFeed.lastMessageAt = Date.now();
+  applyLiveRecords(satellites, { snapshot: true });
+}
+
+function startLivePolling() {
+  if (liveFeed.pollTimer) return;
+  liveFeed.pollTimer = setInterval(pollLiveSource, LIVE_FEED.pollIntervalMs);
+  pollLiveSource();
+}
+
+function stopLivePolling() {
+  clearInterval(liveFeed.pollTimer);
+  liveFeed.pollTimer = null;
+}
+
+function liveConnected(transport) {
+  console.log(`[LIVE] ${transport} connected`);
+  liveFeed.transport = transport;
+  liveFeed.attempts = 0;
+  liveFeed.retryAt = null;
+  stopLivePolling();
+  renderLiveStatus();
+}
+
+// poll while disconnected and retry the push endpoint with exponential backoff (±20% jitter)
+function liveDisconnected(reason) {
+  if (liveFeed.retryTimer) return;
+  console.warn(`[LIVE] push feed unavailable (${reason}), polling until it is back`);
+  liveFeed.transport = null;
+  liveFeed.connection = null;
+  startLivePolling();
+  const delay = Math.min(LIVE_FEED.retryMaxMs, LIVE_FEED.retryInitialMs * Math.pow(2, liveFeed.attempts)) * (0.8 + Math.random() * 0.4);
+  liveFeed.attempts++;
+  liveFeed.retryAt = Date.now() + delay;
+  liveFeed.retryTimer = setTimeout(() => {
+    liveFeed.retryTimer = null;
+    connectLiveFeed();
+  }, delay);
+  renderLiveStatus();
+}
+
+function connectWebSocketFeed(url) {
+  const ws = new WebSocket(url);
+  liveFeed.connection = ws;
+  ws.onopen = () => liveConnected('websocket');
+  ws.onmessage = e => handleLiveMessage(e.data);
+  ws.onclose = e => { if (liveFeed.connection === ws) liveDisconnected(`closed, code ${e.code}`); };
+}
+
+function connectSSEFeed(url) {
+  const es = new EventSource(url);
+  liveFeed.connection = es;
+  es.onopen = () => liveConnected('sse');
+  es.onmessage = e => handleLiveMessage(e.data);
+  ['snapshot', 'update', 'remove'].forEach(type => es.addEventListener(type, e => handleLiveMessage(e.data, type)));
+  es.onerror = () => {
+    // EventSource would retry on its own at a fixed rate; close it and use our backoff instead
+    es.close();
+    if (liveFeed.connection === es) liveDisconnected('connection error');
+  };
+}
+
+function connectLiveFeed() {
+  const url = LIVE_FEED.url;
+  if (!url) return startLivePolling();
+  try {
+    if (/^wss?:/i.test(url) && typeof WebSocket !== 'undefined') connectWebSocketFeed(url);
+    else if (/^https?:/i.test(url) && typeof EventSource !== 'undefined') connectSSEFeed(url);
+    else throw new Error(`unsupported live feed URL ${url}`);
+  } catch (err) {
+    liveDisconnected(err.message);
+  }
+  renderLiveStatus();
+}
+
+// -------------------------
+// Status badge and satellite panel section
+function renderLiveStatus() {
+  const el = document.getElementById('live-status');
+  if (!el) return;
+  const total = liveFeaturesByKey.size;
+  const stale = [...liveFeaturesByKey.values()].filter(f => f.get('stale')).length;
+  let mode;
+  if (liveFeed.transport) mode = liveFeed.transport === 'websocket' ? 'WebSocket' : 'SSE';
+  else if (LIVE_FEED.url && liveFeed.retryAt) mode = `polling, push retry in ${Math.max(0, Math.ceil((liveFeed.retryAt - Date.now()) / 1000))} s`;
+  else if (LIVE_FEED.url) mode = 'connecting…';
+  else mode = 'polling';
+  el.textContent = `Live: ${mode} · ${total} sats${stale ? ` · ${stale} stale` : ''}`;
+  el.title = liveFeed.lastMessageAt ? `Last feed data ${formatUTC(new Date(liveFeed.lastMessageAt))}` : 'No feed data yet';
+  el.classList.toggle('push', !!liveFeed.transport);
+  el.classList.toggle('stale', stale > 0);
+}
+
+function formatAge(ms) {
+  const s = Math.round(ms / 1000);
+  return s < 120 ? `${s} s` : s < 7200 ? `${Math.round(s / 60)} min` : `${Math.round(s / 3600)} h`;
+}
+
+satelliteInfoSections.push(props => {
+  if (typeof props.last_update !== 'number') return '';
+  const age = Date.now() - props.last_update;
+  return `
+    <h5 style="margin:6px 0 4px 0;">Live feed</h5>
+    <table style="width:100%; border-collapse:collapse;">
+      ${smallTableRow('Last update', `${formatUTC(new Date(props.last_update))} (${formatAge(age)} ago)`)}
+      ${smallTableRow('Status', age > LIVE_FEED.staleAfterMs ? '<span style="color:#ffb300">stale</span>' : 'current')}
+    </table>`;
+});
+
+setInterval(updateLiveStaleness, 1000);
+connectLiveFeed();
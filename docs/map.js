@@ -9,12 +9,6 @@ const baseLayers = {
 
 console.log("[AE2] map.js running");
 
-async function loadJSON(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
-  return res.json();
-}
-
 const ICONS = {
   station: 'assets/antenna.png',
   satellite: 'assets/satellite.png'
@@ -22,7 +16,7 @@ const ICONS = {
 
 function makeFeatureStyle(feature, hover = false) {
   const props = feature.getProperties() || {};
-  const type = props.type || (feature.getGeometry() instanceof ol.geom.LineString ? 'orbit' : (feature.getGeometry() instanceof ol.geom.Point ? (props.name === 'Observer' ? 'observer' : 'unknown') : 'unknown'));
+  const type = props.type || (isLineGeometry(feature.getGeometry()) ? 'orbit' : (feature.getGeometry() instanceof ol.geom.Point ? (props.name === 'Observer' ? 'observer' : 'unknown') : 'unknown'));
   const hoverMul = hover ? 1.4 : 1.0;
 
   if (type === 'observer') {
@@ -46,6 +40,8 @@ function makeFeatureStyle(feature, hover = false) {
     });
   }
 
+  // satellite markers on the satellite layers, shadow state included, are drawn by their WebGL
+  // styles (SATELLITE_WEBGL_STYLE, import.js); this is for satellites in imported GeoJSON / KML
   if (type === 'satellite') {
     return new ol.style.Style({
       image: new ol.style.Icon({
@@ -59,8 +55,8 @@ function makeFeatureStyle(feature, hover = false) {
 
   if (type === 'orbit') {
     // Orbit: stroke plus a satellite icon at the first track coordinate (if available)
-    const raw = props.raw || {};
-    const track = Array.isArray(raw.track) ? raw.track : (Array.isArray(props.track) ? props.track : []);
+    // props.track starts as the file's static track and is regenerated from the TLE when there is one
+    const track = Array.isArray(props.track) ? props.track : [];
     const coords = track.length && Array.isArray(track[0]) && typeof track[0][0] === 'number' && typeof track[0][1] === 'number'
       ? ol.proj.fromLonLat([track[0][1], track[0][0]])
       : null;
@@ -90,6 +86,19 @@ function makeFeatureStyle(feature, hover = false) {
     return styles;
   }
 
+  // user features (imported GeoJSON / KML): areas of interest, paths and places
+  if (type === 'area' || type === 'path' || type === 'place') {
+    return new ol.style.Style({
+      stroke: new ol.style.Stroke({ color: '#29b6f6', width: 2 * hoverMul }),
+      fill: new ol.style.Fill({ color: hover ? 'rgba(41,182,246,0.3)' : 'rgba(41,182,246,0.15)' }),
+      image: new ol.style.Circle({
+        radius: 6 * hoverMul,
+        fill: new ol.style.Fill({ color: '#29b6f6' }),
+        stroke: new ol.style.Stroke({ color: '#fff', width: 1 })
+      })
+    });
+  }
+
   // fallback: small circle
   return new ol.style.Style({
     image: new ol.style.Circle({
@@ -120,23 +129,210 @@ function createMarker(lon, lat, color, label, props = {}) {
 
 
 
+function isLineGeometry(geometry) {
+  return geometry instanceof ol.geom.LineString || geometry instanceof ol.geom.MultiLineString;
+}
+
+// [[lon, lat], ...] segments (see splitAtAntimeridian in geometry.js) -> map geometry
+function trackGeometry(segments) {
+  return new ol.geom.MultiLineString(segments.map(seg => seg.map(c => ol.proj.fromLonLat(c))));
+}
+
 function createLine(track, color = 'orange', props = {}) {
-  // track: array of [lat, lon] pairs (robust to invalid entries)
-  const coords = [];
-  for (const pt of (track || [])) {
-    if (!Array.isArray(pt)) continue;
-    const lat = pt[0], lon = pt[1];
-    if (typeof lat === 'number' && typeof lon === 'number') {
-      coords.push(ol.proj.fromLonLat([lon, lat]));
-    }
-  }
-  if (!coords.length) return null;
-  const feature = new ol.Feature({ geometry: new ol.geom.LineString(coords) });
+  // track: array of [lat, lon] pairs (robust to invalid entries), split wherever it crosses ±180°
+  const segments = splitAtAntimeridian(track);
+  if (!segments.length) return null;
+  const feature = new ol.Feature({ geometry: trackGeometry(segments) });
   feature.setProperties(props);
   feature.setStyle(new ol.style.Style({ stroke: new ol.style.Stroke({ color, width: 2 }) }));
   return feature;
 }
 
+// -------------------------
+// Ground track decoration: past revolutions, direction-of-travel arrows
+const ARROW_SPACING_PX = 140;
+const MAX_ARROWS_PER_TRACK = 60;
+
+function directionArrowStyles(geometry, resolution, color = 'orange') {
+  const spacing = ARROW_SPACING_PX * resolution;
+  const lines = geometry instanceof ol.geom.MultiLineString ? geometry.getLineStrings() : [geometry];
+  const styles = [];
+  let next = spacing / 2, walked = 0;
+  for (const line of lines) {
+    const coords = line.getCoordinates();
+    for (let i = 1; i < coords.length; i++) {
+      const [x0, y0] = coords[i - 1], [x1, y1] = coords[i];
+      const len = Math.hypot(x1 - x0, y1 - y0);
+      while (len > 0 && next <= walked + len) {
+        if (styles.length >= MAX_ARROWS_PER_TRACK) return styles;
+        const f = (next - walked) / len;
+        styles.push(new ol.style.Style({
+          geometry: new ol.geom.Point([x0 + f * (x1 - x0), y0 + f * (y1 - y0)]),
+          image: new ol.style.RegularShape({
+            points: 3,
+            radius: 6,
+            rotation: Math.PI / 2 - Math.atan2(y1 - y0, x1 - x0),
+            rotateWithView: true,
+            fill: new ol.style.Fill({ color }),
+            stroke: new ol.style.Stroke({ color: '#fff', width: 1 })
+          })
+        }));
+        next += spacing;
+      }
+      walked += len;
+    }
+  }
+  return styles;
+}
+
+// Orbit tracks are drawn by WebGL layers (ORBIT_WEBGL_STYLE, past revolutions in their own layer);
+// the satellite icon at track[0] and the direction arrows are canvas decoration on top, kept for
+// small orbit sets only: beyond ORBIT_DECORATION_LIMIT tracks they would bury the map.
+const ORBIT_DECORATION_LIMIT = 200;
+const ORBIT_WEBGL_STYLE = { 'stroke-color': '#ffa500', 'stroke-width': 2 };
+const PAST_TRACK_WEBGL_STYLE = { 'stroke-color': 'rgba(200, 200, 200, 0.8)', 'stroke-width': 2, 'stroke-line-dash': [6, 6] };
+
+function orbitDecorationStyle(feature, resolution) {
+  const icon = [].concat(makeFeatureStyle(feature)).filter(style => style.getImage());
+  return icon.concat(directionArrowStyles(feature.getGeometry(), resolution));
+}
+
+// -------------------------
+// Satellite styling: orbit-regime and group filters plus group colours. Satellite layers are WebGL
+// point layers whose style reads plain feature attributes (SATELLITE_RENDER_PROPS, the live feed's
+// `stale` and the propagated `illumination`), so a catalog of ~10,000 markers needs no style objects
+// and changing a filter only rewrites those attributes.
+const SATELLITE_GROUPS_KEY = 'ae2.satelliteGroups';
+const SATELLITE_REGIMES = ['LEO', 'MEO', 'GEO', 'HEO', 'unknown'];
+const satelliteFilter = { regimes: new Set(SATELLITE_REGIMES), group: '' };
+
+// user-defined groups: [{ name, color, members: [satelliteKey, ...] }]
+const satelliteGroups = {
+  groups: [],
+  listeners: [],
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SATELLITE_GROUPS_KEY) || '[]');
+      this.groups = (Array.isArray(stored) ? stored : []).filter(g => g && typeof g.name === 'string' && Array.isArray(g.members));
+    } catch (err) {
+      console.warn("[GROUPS] could not read saved groups:", err);
+    }
+  },
+  save() {
+    try {
+      localStorage.setItem(SATELLITE_GROUPS_KEY, JSON.stringify(this.groups));
+    } catch (err) {
+      console.warn("[GROUPS] could not save groups:", err);
+    }
+    this.listeners.forEach(fn => fn());
+  },
+  get(name) { return this.groups.find(g => g.name === name) || null; },
+  create(name, color = '#00bcd4') {
+    name = (name || '').trim();
+    if (!name || this.get(name)) return false;
+    this.groups.push({ name, color, members: [] });
+    this.save();
+    return true;
+  },
+  remove(name) {
+    this.groups = this.groups.filter(g => g.name !== name);
+    if (satelliteFilter.group === name) satelliteFilter.group = ''; // before the listeners re-apply the filters
+    this.save();
+  },
+  setColor(name, color) {
+    const g = this.get(name);
+    if (g) { g.color = color; this.save(); }
+  },
+  setMember(name, key, member) {
+    const g = this.get(name);
+    if (!g) return;
+    g.members = g.members.filter(k => k !== key);
+    if (member) g.members.push(key);
+    this.save();
+  },
+  groupsOf(key) { return this.groups.filter(g => g.members.includes(key)); },
+  onChange(fn) { this.listeners.push(fn); }
+};
+
+// stable identity for groups and lookups: NORAD ID when known, else the name
+function satelliteKey(props = {}) {
+  const norad = satelliteNoradId(props);
+  return (norad !== null && norad !== undefined) ? `norad:${norad}` : `name:${props.name || ''}`;
+}
+
+function satelliteRegime(props = {}) {
+  return satrecRegime(props.satrec)
+    ?? altitudeRegime(props.altitude_km)
+    ?? altitudeRegime(altitudeFromLook(props.look?.range_km, props.look?.elevation_deg))
+    ?? 'unknown';
+}
+
+function satelliteMatchesFilter(feature) {
+  if (!satelliteFilter.regimes.has(feature.get('regime') || 'unknown')) return false;
+  const g = satelliteFilter.group ? satelliteGroups.get(satelliteFilter.group) : null; // a deleted group filters nothing
+  if (g && !g.members.includes(feature.get('sat_key'))) return false;
+  return true;
+}
+
+// live satellites without a recent update (live.js) keep their group colour only as the outline;
+// so do satellites in the Earth's shadow (dark fill), while the penumbra gets a dark outline
+const SATELLITE_RENDER_PROPS = ['shown', 'marker_color', 'grouped'];
+const IS_STALE = ['==', ['get', 'stale'], 1]; // WebGL attributes are numbers: true -> 1
+const IN_UMBRA = ['==', ['get', 'illumination'], 'umbra'];
+const IN_PENUMBRA = ['==', ['get', 'illumination'], 'penumbra'];
+const SATELLITE_WEBGL_STYLE = [{
+  filter: ['==', ['get', 'shown'], 1],
+  style: {
+    'circle-radius': ['match', ['get', 'grouped'], 1, 7, 6],
+    'circle-fill-color': ['case', IS_STALE, 'rgba(140, 140, 140, 0.7)', IN_UMBRA, '#263238', ['get', 'marker_color']],
+    'circle-stroke-color': ['case', ['any', IS_STALE, IN_UMBRA], ['get', 'marker_color'], IN_PENUMBRA, '#263238', '#ffffff'],
+    'circle-stroke-width': ['case', ['any', ['==', ['get', 'grouped'], 1], IN_UMBRA, IN_PENUMBRA], 2, 1]
+  }
+}];
+
+// filter result and group colour as attributes for the satellite layers' style
+function updateSatelliteRenderProps(feature, silent = false) {
+  const group = satelliteGroups.groupsOf(feature.get('sat_key'))[0];
+  feature.setProperties({
+    shown: satelliteMatchesFilter(feature) ? 1 : 0,
+    marker_color: group ? group.color : '#ff0000',
+    grouped: group ? 1 : 0
+  }, silent);
+}
+
+// regime, key and render attributes for a freshly created satellite marker
+function styleSatelliteFeature(feature) {
+  feature.set('regime', satelliteRegime(feature.getProperties()), true);
+  feature.set('sat_key', satelliteKey(feature.getProperties()), true);
+  updateSatelliteRenderProps(feature, true);
+  feature.setStyle(null); // drawn by the layer's WebGL style, not per feature
+  return feature;
+}
+
+// every layer of satellite markers: the static one, the live feed (live.js) and runtime additions (imported TLE sets)
+const extraSatelliteLayers = [];
+function satelliteLayers() {
+  return [satelliteLayer, liveSatLayer, ...extraSatelliteLayers].filter(Boolean);
+}
+
+function applySatelliteFilters() {
+  satelliteLayers().forEach(layer => layer.getSource().forEachFeature(f => updateSatelliteRenderProps(f)));
+  refreshSatelliteClusters();
+}
+
+satelliteGroups.load();
+satelliteGroups.onChange(applySatelliteFilters);
+
+// satellite markers (styleSatelliteFeature() applied) in a WebGL layer; `style` defaults to the
+// coloured dots, imported catalogs pass their own (import.js). Hiding one re-bins the clusters at once.
+function createSatelliteLayer(features = [], style = SATELLITE_WEBGL_STYLE) {
+  const layer = new ol.layer.WebGLVector({ source: new ol.source.Vector({ features }), style });
+  layer.on('change:visible', () => refreshSatelliteClusters());
+  map.addLayer(layer);
+  return layer;
+}
+
 function addLayerFromFeatures(features) {
   const valid = features.filter(f => f !== null);
   const source = new ol.source.Vector({ features: valid });
@@ -145,64 +341,251 @@ function addLayerFromFeatures(features) {
   return layer;
 }
 
-const observerLocation = [107.6, -6.9];
+// -------------------------
+// Simulation clock: the single source of "now" for satellite positions, tracks and panels.
+// Time advances as anchorSim + (wall clock - anchorReal) * rate while playing.
+const simClock = {
+  rate: 1,
+  playing: true,
+  anchorSim: Date.now(),
+  anchorReal: Date.now(),
+  listeners: [],
+
+  now() {
+    const elapsed = this.playing ? (Date.now() - this.anchorReal) * this.rate : 0;
+    return new Date(this.anchorSim + elapsed);
+  },
+  isLive() {
+    return this.playing && this.rate === 1 && Math.abs(this.now().getTime() - Date.now()) < 2000;
+  },
+  rebase() {
+    this.anchorSim = this.now().getTime();
+    this.anchorReal = Date.now();
+  },
+  setTime(date) {
+    const t = new Date(date).getTime();
+    if (!Number.isFinite(t)) return;
+    this.anchorSim = t;
+    this.anchorReal = Date.now();
+    this.emit('jump');
+  },
+  setRate(rate) {
+    this.rebase();
+    this.rate = rate;
+    this.emit('rate');
+  },
+  play() { this.rebase(); this.playing = true; this.emit('play'); },
+  pause() { this.rebase(); this.playing = false; this.emit('pause'); },
+  goLive() {
+    this.rate = 1;
+    this.playing = true;
+    this.setTime(Date.now());
+  },
+  // fn(reason) where reason is 'jump' | 'rate' | 'play' | 'pause'
+  onChange(fn) { this.listeners.push(fn); },
+  emit(reason) {
+    this.listeners.forEach(fn => {
+      try { fn(reason); } catch (err) { console.error("[CLOCK] listener failed:", err); }
+    });
+  }
+};
+
+// -------------------------
+// Observer sites: named locations kept in localStorage. The active site is what every
+// observer-relative computation (look angles, visibility, passes) is measured from.
+// Sites marked `transient` (the GPS receiver, gps.js) can be picked but are never saved.
+const OBSERVER_STORAGE_KEY = 'ae2.observerSites';
+const DEFAULT_OBSERVER_SITE = { name: 'Bandung', lon: 107.6, lat: -6.9, alt_m: 0 };
+
+const observerSites = {
+  sites: [Object.assign({}, DEFAULT_OBSERVER_SITE)],
+  activeName: DEFAULT_OBSERVER_SITE.name,
+  savedActiveName: DEFAULT_OBSERVER_SITE.name, // the active site as last saved: never a transient one
+  listeners: [],
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(OBSERVER_STORAGE_KEY) || 'null');
+      const sites = (stored?.sites || []).filter(isValidSite);
+      if (sites.length) {
+        this.sites = sites;
+        this.activeName = this.savedActiveName = sites.some(s => s.name === stored.active) ? stored.active : sites[0].name;
+      }
+    } catch (err) {
+      console.warn("[OBSERVER] could not read saved sites:", err);
+    }
+  },
+  save() {
+    try {
+      if (!this.active().transient) this.savedActiveName = this.activeName;
+      const sites = this.sites.filter(s => !s.transient);
+      localStorage.setItem(OBSERVER_STORAGE_KEY, JSON.stringify({ sites, active: this.savedActiveName }));
+    } catch (err) {
+      console.warn("[OBSERVER] could not save sites:", err);
+    }
+  },
+  active() {
+    return this.sites.find(s => s.name === this.activeName) || this.sites[0];
+  },
+  // add or replace a site by name and make it active
+  upsert(site) {
+    if (!isValidSite(site)) return false;
+    const i = this.sites.findIndex(s => s.name === site.name);
+    if (i >= 0) this.sites[i] = site; else this.sites.push(site);
+    this.activeName = site.name;
+    this.save();
+    this.emit();
+    return true;
+  },
+  // move the active site without renaming it (map click, marker drag, geolocation)
+  moveActive(lon, lat, alt_m) {
+    const site = Object.assign({}, this.active(), { lon, lat });
+    if (typeof alt_m === 'number') site.alt_m = alt_m;
+    return this.upsert(site);
+  },
+  setActive(name) {
+    if (!this.sites.some(s => s.name === name)) return;
+    this.activeName = name;
+    this.save();
+    this.emit();
+  },
+  remove(name) {
+    if (this.sites.length <= 1) return; // always keep one site
+    this.sites = this.sites.filter(s => s.name !== name);
+    if (this.activeName === name) this.activeName = this.sites[0].name;
+    this.save();
+    this.emit();
+  },
+  onChange(fn) { this.listeners.push(fn); },
+  emit() {
+    this.listeners.forEach(fn => {
+      try { fn(this.active()); } catch (err) { console.error("[OBSERVER] listener failed:", err); }
+    });
+  }
+};
+
+function isValidSite(site) {
+  return site && typeof site.name === 'string' && site.name.trim() !== ''
+    && Number.isFinite(site.lat) && site.lat >= -90 && site.lat <= 90
+    && Number.isFinite(site.lon) && site.lon >= -180 && site.lon <= 180;
+}
+
+// the active site in the shape propagation.js expects
+function activeObserver() {
+  const site = observerSites.active();
+  return { name: site.name, lon: site.lon, lat: site.lat, alt_km: (site.alt_m || 0) / 1000 };
+}
+
+observerSites.load();
+
 let currentBaseLayer = baseLayers['osm'];
 const map = new ol.Map({
   target: 'map',
   layers: [currentBaseLayer],
-  view: new ol.View({ center: ol.proj.fromLonLat(observerLocation), zoom: 4 })
+  view: new ol.View({ center: ol.proj.fromLonLat([observerSites.active().lon, observerSites.active().lat]), zoom: 4 })
 });
 
-const observerFeature = createMarker(observerLocation[0], observerLocation[1], 'green', 'Observer', { type: 'observer', description: 'Observer location' });
-if (observerFeature) addLayerFromFeatures([observerFeature]);
+const observerFeature = createMarker(observerSites.active().lon, observerSites.active().lat, 'green', 'Observer', { type: 'observer', description: 'Observer location' });
+const observerLayer = observerFeature ? addLayerFromFeatures([observerFeature]) : null;
 
 let stationLayer, satelliteLayer, orbitLayer;
+let satnogsData = { stations: [], transmitters: [] }; // last satnogs_results.json, for transmitters.js
+let selectedProps = null; // properties of the feature last clicked on the map
+const selectionListeners = [];
+
+// every selection change goes through here; fn(props) listeners (URL state in export.js) follow it
+function setSelectedProps(props) {
+  selectedProps = props;
+  selectionListeners.forEach(fn => {
+    try { fn(props); } catch (err) { console.error("[SELECTION] listener failed:", err); }
+  });
+}
+function onSelectionChange(fn) { selectionListeners.push(fn); }
+
+
+// Static data files, in merge order (see ingest.js for the formats each adapter reads).
+// CelesTrak GP data or a TLE file can be added here, e.g.
+//   { name: 'CelesTrak stations', url: 'https://celestrak.org/NORAD/elements/gp.php?GROUP=stations&FORMAT=json' }
+const DATA_SOURCES = [
+  { name: 'SatNOGS', url: 'data/satnogs_results.json' },
+  { name: 'Visible satellites', url: 'data/tle_visible.json' },
+  { name: 'Ground tracks', url: 'data/tle_orbits.json' }
+];
+
+function stationFeature(rec) {
+  return createMarker(rec.lon, rec.lat, 'blue', rec.name, {
+    type: 'station',
+    id: rec.id,
+    country: rec.country,
+    elevation_m: rec.elevation_m,
+    status: rec.status,
+    source: rec.source,
+    raw: rec.raw
+  });
+}
+
+// position from the record, or propagated to the clock time when only a TLE is known
+function satelliteFeature(rec, color = 'red') {
+  let { lat, lon } = rec.position || {};
+  if (lat === undefined && rec.tle) {
+    const state = propagateSatrec(createSatrec(rec.tle.line1, rec.tle.line2), simClock.now());
+    if (state) ({ lat, lon } = state);
+  }
+  return createMarker(lon, lat, color, rec.name, {
+    type: 'satellite',
+    id: rec.norad_id,
+    norad_id: rec.norad_id,
+    object_id: rec.object_id ?? null,
+    altitude_km: rec.altitude_km ?? null,
+    look: rec.look ?? null,
+    tle_line1: rec.tle?.line1 ?? null,
+    tle_line2: rec.tle?.line2 ?? null,
+    source: rec.source,
+    raw: rec.raw
+  });
+}
 
+function orbitFeature(rec) {
+  return createLine(rec.track, 'orange', {
+    type: 'orbit',
+    name: rec.name,
+    norad_id: rec.norad_id,
+    period_min: rec.period_min,
+    track: rec.track,
+    source: rec.source,
+    raw: rec.raw
+  });
+}
 
 async function initMapLayers() {
   try {
-    const satnogs = await loadJSON('data/satnogs_results.json').catch(() => ({ stations: [] }));
-    const sats = await loadJSON('data/tle_visible.json').catch(() => []);
-    const orbits = await loadJSON('data/tle_orbits.json').catch(() => []);
-
-    // ground stations
-    const stationFeatures = (satnogs.stations || []).map(s => {
-      const lon = Number(s.lon ?? s.lng), lat = Number(s.lat);
-      return createMarker(lon, lat, 'blue', s.name || s.callsign || 'Station', {
-        type: 'station',
-        id: s.id ?? s.station_id ?? null,
-        country: s.country ?? s.cc ?? null,
-        elevation_m: s.elevation_m ?? s.elevation ?? null,
-        raw: s
-      });
-    }).filter(Boolean);
-
-    // visible satellites (tle_visible.json fields vary)
-    const satFeatures = (sats || []).map(s => {
-      // many of your sample entries only have longitude_deg — try to read good fields and skip invalid points
-      const lon = Number(s.longitude_deg ?? s.lon ?? s.lng ?? s.longitude);
-      const lat = Number(s.latitude_deg ?? s.lat ?? s.latitude);
-      return createMarker(lon, lat, 'red', s.name || s.satname || 'Satellite', {
-        type: 'satellite',
-        id: s.id ?? s.sat_id ?? s.norad_cat_id ?? null,
-        altitude_km: s.altitude_km ?? s.height_km ?? s.elevation_km ?? null,
-        tle_line1: s.tle_line1 ?? s.tle1 ?? null,
-        tle_line2: s.tle_line2 ?? s.tle2 ?? null,
-        raw: s
-      });
-    }).filter(Boolean);
+    const results = await Promise.all(DATA_SOURCES.map(loadDataSource));
+    const all = key => results.flatMap(r => r[key]);
+    satnogsData = { stations: all('stations'), transmitters: all('transmitters') };
+
+    const stationFeatures = satnogsData.stations.map(stationFeature).filter(Boolean);
+    const satFeatures = mergeSatelliteRecords(all('satellites')).map(rec => satelliteFeature(rec)).filter(Boolean);
+    satFeatures.forEach(f => styleSatelliteFeature(attachSatrec(f)));
+
+    const orbitFeatures = all('orbits').map(orbitFeature).filter(Boolean);
+    orbitFeatures.forEach(f => f.setStyle(null)); // drawn by the orbit layers' styles
 
-    // orbit lines
-    const orbitFeatures = (orbits || []).map(o => createLine(o.track || o.path || [], 'orange', {
-      type: 'orbit',
-      name: o.name || o.id || 'Orbit',
-      period_min: o.period_min ?? o.period ?? null,
-      raw: o
-    })).filter(Boolean);
+    // orbits whose satellite has a TLE are regenerated from the clock
+    const satrecs = new Map();
+    satFeatures.filter(f => f.get('satrec')).forEach(f => {
+      satrecs.set(`name:${f.get('name')}`, f.get('satrec'));
+      if (f.get('norad_id') !== null) satrecs.set(`norad:${f.get('norad_id')}`, f.get('satrec'));
+    });
+    orbitFeatures.forEach(f => {
+      const satrec = satrecs.get(`norad:${f.get('norad_id')}`) || satrecs.get(`name:${f.get('name')}`);
+      if (satrec) f.set('satrec', satrec);
+    });
 
-    orbitLayer = addLayerFromFeatures(orbitFeatures);
+    orbitLayer = createOrbitLayers(orbitFeatures);
     stationLayer = addLayerFromFeatures(stationFeatures);
-    satelliteLayer = addLayerFromFeatures(satFeatures);
+    satelliteLayer = createSatelliteLayer(satFeatures);
+    refreshOrbitTracks();
+    refreshSatelliteClusters();
 
     // Fit view to features if any
     const allFeatures = [...stationFeatures, ...satFeatures];
@@ -226,38 +609,418 @@ async function initMapLayers() {
   }
 }
 
-initMapLayers();
+// orbit tracks (WebGL), their past revolutions (WebGL, not clickable) and the canvas decoration
+// (orbitDecorationStyle) sharing the tracks' source; the latter two follow the orbit layer's toggle
+let orbitPastLayer = null, orbitDecorationLayer = null;
+function createOrbitLayers(features) {
+  const layer = new ol.layer.WebGLVector({ source: new ol.source.Vector({ features }), style: ORBIT_WEBGL_STYLE });
+  orbitPastLayer = new ol.layer.WebGLVector({ source: new ol.source.Vector(), style: PAST_TRACK_WEBGL_STYLE });
+  orbitPastLayer.set('clickable', false);
+  orbitDecorationLayer = new ol.layer.Vector({ source: layer.getSource(), style: orbitDecorationStyle });
+  const decorate = features.length <= ORBIT_DECORATION_LIMIT;
+  const follow = () => {
+    orbitPastLayer.setVisible(layer.getVisible());
+    orbitDecorationLayer.setVisible(decorate && layer.getVisible());
+  };
+  layer.on('change:visible', follow);
+  follow();
+  [orbitPastLayer, layer, orbitDecorationLayer].forEach(l => map.addLayer(l));
+  return layer;
+}
 
-// live satellites updater (keeps separate layer)
-let liveSatLayer, liveSatFeatures = [];
-async function animateLiveSatellites() {
+// resolves once the static data layers exist; later scripts (passes.js, ...) hook onto it
+const layersReady = initMapLayers();
+
+// live satellites: separate layer, created and kept up to date by the feed client in live.js
+let liveSatLayer = null;
+
+// -------------------------
+// In-browser propagation of satellites that carry TLEs
+function attachSatrec(feature) {
+  const tle = readTLE(feature.getProperties());
+  const satrec = tle ? createSatrec(tle.line1, tle.line2) : null;
+  if (satrec) {
+    feature.set('satrec', satrec);
+    updatePropagatedFeature(feature, simClock.now());
+  }
+  return feature;
+}
+
+function updatePropagatedFeature(feature, date) {
+  const state = propagateSatrec(feature.get('satrec'), date);
+  if (!state) return null;
+  feature.getGeometry().setCoordinates(ol.proj.fromLonLat([state.lon, state.lat]));
+  feature.set('altitude_km', state.altitude_km, true);
+  feature.set('illumination', satrecIllumination(state), true);
+  return state;
+}
+
+// sunlit / penumbra / umbra for markers placed from data (live feed): sub-satellite point + altitude
+function updateFeatureIllumination(feature, date, sunEcf) {
+  const altitude = feature.get('altitude_km');
+  if (typeof altitude !== 'number') return;
+  const [lon, lat] = ol.proj.toLonLat(feature.getGeometry().getCoordinates());
+  const light = geodeticIllumination(lat, lon, altitude, date, sunEcf);
+  if (light !== feature.get('illumination')) feature.set('illumination', light);
+}
+
+// -------------------------
+// Propagation worker: every satellite's TLE is registered with propagation-worker.js under a slot
+// number, then each update asks for all positions in one message. Without workers (file://, blocked)
+// the same registry from propagation.js runs on the page.
+let propagationWorker = null;
+let propagationWorkerBroken = false;
+let propagationRequestId = 0;
+const propagationPending = new Map();
+let pagePropagationRegistry = null;
+
+const satrecSlots = new WeakMap(); // satrec -> slot
+const slotTLEs = new Map(); // slot -> [line1, line2] of every registered satellite
+let nextSatrecSlot = 0;
+
+function getPropagationWorker() {
+  if (propagationWorker || propagationWorkerBroken) return propagationWorker;
   try {
-    const data = await loadJSON('data/tle_live.json');
-    if (!data) return;
-    if (!liveSatLayer) {
-      liveSatFeatures = data.map(s => {
-        const lon = Number(s.longitude ?? s.lon ?? s.lng);
-        const lat = Number(s.latitude ?? s.lat);
-        return createMarker(lon, lat, 'red', s.name || 'LiveSat', { type: 'satellite', raw: s, id: s.id ?? s.name });
-      }).filter(Boolean);
-      liveSatLayer = addLayerFromFeatures(liveSatFeatures);
-    } else {
-      data.forEach((sat, i) => {
-        if (!liveSatFeatures[i]) return;
-        const lon = Number(sat.longitude ?? sat.lon ?? sat.lng);
-        const lat = Number(sat.latitude ?? sat.lat);
-        if (typeof lon === 'number' && typeof lat === 'number') {
-          liveSatFeatures[i].getGeometry().setCoordinates(ol.proj.fromLonLat([lon, lat]));
-        }
-        liveSatFeatures[i].setProperties(Object.assign({}, liveSatFeatures[i].getProperties(), { raw: sat }));
-      });
-    }
+    propagationWorker = new Worker('propagation-worker.js');
+    propagationWorker.onmessage = e => {
+      const { id, ok, result, error } = e.data || {};
+      const pending = propagationPending.get(id);
+      if (!pending) return;
+      propagationPending.delete(id);
+      if (ok) pending.resolve(result); else pending.reject(new Error(error));
+    };
+    propagationWorker.onerror = e => {
+      // the worker itself failed to start (blocked, importScripts error): fall back for good, and
+      // give the page registry every satellite the worker had before redoing what was waiting
+      console.warn("[PROPAGATION] worker failed, propagating on the page:", e.message);
+      propagationWorkerBroken = true;
+      propagationWorker.terminate();
+      propagationWorker = null;
+      const waiting = [...propagationPending.values()];
+      propagationPending.clear();
+      runPropagationJobInPage({ type: 'load', satellites: [...slotTLEs].map(([slot, lines]) => [slot, ...lines]) });
+      waiting.forEach(p => runPropagationJob(p.message).then(p.resolve, p.reject));
+    };
   } catch (err) {
-    console.warn("[LIVE SATS] fetch failed:", err);
+    console.warn("[PROPAGATION] workers unavailable, propagating on the page:", err);
+    propagationWorkerBroken = true;
+    propagationWorker = null;
+  }
+  return propagationWorker;
+}
+
+function runPropagationJobInPage(message) {
+  if (!pagePropagationRegistry) pagePropagationRegistry = createPropagationRegistry();
+  try {
+    return Promise.resolve(runPropagationRequest(pagePropagationRegistry, message));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+function runPropagationJob(message) {
+  const worker = getPropagationWorker();
+  if (!worker) return runPropagationJobInPage(message);
+  return new Promise((resolve, reject) => {
+    const id = ++propagationRequestId;
+    propagationPending.set(id, { resolve, reject, message });
+    worker.postMessage(Object.assign({ id }, message));
+  });
+}
+
+// registers satellites that appeared since the last call (new markers, replaced TLEs) and drops the
+// slots of those that are gone; returns the satellites to propagate and the markers placed from data
+function syncPropagationSlots() {
+  const entries = [], others = [], load = [], current = new Set();
+  for (const layer of satelliteLayers()) {
+    layer.getSource().forEachFeature(feature => {
+      const satrec = feature.get('satrec');
+      if (!satrec) { others.push(feature); return; }
+      let slot = satrecSlots.get(satrec);
+      if (slot === undefined || !slotTLEs.has(slot)) {
+        const tle = readTLE(feature.getProperties());
+        if (!tle) return;
+        if (slot === undefined) satrecSlots.set(satrec, slot = nextSatrecSlot++);
+        slotTLEs.set(slot, [tle.line1, tle.line2]);
+        load.push([slot, tle.line1, tle.line2]);
+      }
+      current.add(slot);
+      entries.push({ slot, feature, satrec });
+    });
+  }
+  const gone = [...slotTLEs.keys()].filter(slot => !current.has(slot));
+  gone.forEach(slot => slotTLEs.delete(slot));
+  const failed = err => console.warn("[PROPAGATION] registering satellites failed:", err.message);
+  if (load.length) runPropagationJob({ type: 'load', satellites: load }).catch(failed);
+  if (gone.length) runPropagationJob({ type: 'drop', slots: gone }).catch(failed);
+  return { entries, others };
+}
+
+// -------------------------
+// Propagation loop. Positions are requested every PROPAGATION_INTERVAL_MS, less often for large
+// catalogs, and written back to the markers a chunk per animation frame so that moving thousands of
+// features never stalls panning.
+const PROPAGATION_INTERVAL_MS = 100;
+const PROPAGATION_MS_PER_SATELLITE = 0.1; // 10,000 satellites -> one update a second
+const POSITION_APPLY_CHUNK = 2000; // markers moved per frame
+const TRACK_REFRESH_SIM_MS = 60 * 1000;
+let lastPropagation = 0, lastTrackRefresh = 0;
+let propagationInFlight = false;
+let propagatedCount = 0;
+let propagationEpoch = 0; // bumped by clock jumps: results requested before one are dropped
+let positionUpdate = null; // { entries, others, values, date, index } being applied
+let trackRunId = 0;
+let trackRefreshInFlight = false; // like propagationInFlight: the loop waits for the last tracks job
+const positionListeners = [];
+
+// fn(date) after every marker has been moved to its position at `date` (sky plot, ...)
+function onPositionsUpdated(fn) { positionListeners.push(fn); }
+
+function requestPositions() {
+  const { entries, others } = syncPropagationSlots();
+  const date = simClock.now();
+  const epoch = propagationEpoch;
+  propagatedCount = entries.length + others.length;
+  propagationInFlight = true;
+  runPropagationJob({ type: 'positions', time: date.getTime(), slots: Int32Array.from(entries, e => e.slot) })
+    .then(result => {
+      if (epoch === propagationEpoch) positionUpdate = { entries, others, values: result.values, date, index: 0 };
+    })
+    .catch(err => console.warn("[PROPAGATION] positions failed:", err.message))
+    .finally(() => { propagationInFlight = false; });
+}
+
+function applyPositionChunk() {
+  const u = positionUpdate;
+  const end = Math.min(u.entries.length, u.index + POSITION_APPLY_CHUNK);
+  for (let i = u.index; i < end; i++) {
+    const { feature, satrec } = u.entries[i];
+    const o = i * POSITION_FIELDS;
+    if (feature.get('satrec') !== satrec || Number.isNaN(u.values[o])) continue; // TLE replaced meanwhile, or decayed
+    feature.set('altitude_km', u.values[o + 2], true);
+    feature.set('illumination', ILLUMINATION_CODES[u.values[o + 3]] ?? null, true);
+    feature.getGeometry().setCoordinates(ol.proj.fromLonLat([u.values[o], u.values[o + 1]]));
+  }
+  u.index = end;
+  if (end < u.entries.length) return;
+  const sunEcf = sunPositionEcf(u.date); // once per update, not per marker
+  u.others.forEach(f => updateFeatureIllumination(f, u.date, sunEcf));
+  positionUpdate = null;
+  refreshSatelliteClusters();
+  positionListeners.forEach(fn => {
+    try { fn(u.date); } catch (err) { console.error("[PROPAGATION] listener failed:", err); }
+  });
+}
+
+function propagationLoop(ts) {
+  const interval = Math.max(PROPAGATION_INTERVAL_MS, propagatedCount * PROPAGATION_MS_PER_SATELLITE);
+  if (positionUpdate) applyPositionChunk();
+  else if (!propagationInFlight && ts - lastPropagation >= interval) {
+    lastPropagation = ts;
+    requestPositions();
+  }
+  if (!trackRefreshInFlight && Math.abs(simClock.now() - lastTrackRefresh) > TRACK_REFRESH_SIM_MS) refreshOrbitTracks();
+  if (ts - lastFootprintRefresh >= FOOTPRINT_REFRESH_MS) refreshFootprints();
+  requestAnimationFrame(propagationLoop);
+}
+requestAnimationFrame(propagationLoop);
+
+// TLE-backed orbit features get one revolution of ground track starting at the clock time,
+// so the satellite icon drawn at track[0] by makeFeatureStyle() sits where the satellite is.
+// Tracks are computed by the propagation worker from the slot of the satellite the orbit belongs to.
+function refreshOrbitTracks() {
+  const now = simClock.now();
+  lastTrackRefresh = now.getTime();
+  if (!orbitLayer) return;
+  syncPropagationSlots();
+  const orbits = orbitLayer.getSource().getFeatures().filter(f => slotTLEs.has(satrecSlots.get(f.get('satrec'))));
+  const runId = ++trackRunId;
+  trackRefreshInFlight = true;
+  runPropagationJob({
+    type: 'tracks',
+    time: now.getTime(),
+    slots: orbits.map(f => satrecSlots.get(f.get('satrec'))),
+    pastRevs: trackSettings.pastRevs,
+    futureRevs: trackSettings.futureRevs
+  })
+    .then(({ tracks }) => {
+      if (runId !== trackRunId) return; // superseded by a newer refresh
+      const past = [];
+      tracks.forEach(({ period_min, future, past: pastTrack }, i) => {
+        const f = orbits[i];
+        const segments = splitAtAntimeridian(future);
+        if (!segments.length) return;
+        f.setGeometry(trackGeometry(segments));
+        f.set('period_min', period_min, true);
+        f.set('track_past', pastTrack, true);
+        f.set('track', future);
+        const pastSegments = splitAtAntimeridian(pastTrack);
+        if (pastSegments.length) past.push(new ol.Feature({ geometry: trackGeometry(pastSegments), name: f.get('name') }));
+      });
+      const source = orbitPastLayer.getSource();
+      source.clear(true);
+      source.addFeatures(past);
+    })
+    .catch(err => console.warn("[PROPAGATION] ground tracks failed:", err.message))
+    .finally(() => { if (runId === trackRunId) trackRefreshInFlight = false; });
+}
+
+// -------------------------
+// Track settings and coverage footprints
+const trackSettings = { pastRevs: 0, futureRevs: 1, showFootprints: true, footprintMaskDeg: 0 };
+const FOOTPRINT_REFRESH_MS = 1000;
+let lastFootprintRefresh = 0;
+
+const footprintLayer = new ol.layer.Vector({
+  source: new ol.source.Vector(),
+  style: new ol.style.Style({
+    fill: new ol.style.Fill({ color: 'rgba(255, 165, 0, 0.08)' }),
+    stroke: new ol.style.Stroke({ color: 'rgba(255, 165, 0, 0.7)', width: 1 })
+  })
+});
+footprintLayer.set('clickable', false);
+map.getLayers().insertAt(1, footprintLayer); // just above the basemap
+
+// one coverage polygon per shown satellite whose altitude is known (propagated or from tle_live.json);
+// past FOOTPRINT_LIMIT of them (a full catalog) only the selected satellite's
+const FOOTPRINT_LIMIT = 500;
+
+function refreshFootprints() {
+  lastFootprintRefresh = performance.now();
+  const source = footprintLayer.getSource();
+  source.clear(true);
+  if (!trackSettings.showFootprints) return source.changed();
+  let satellites = [];
+  for (const layer of satelliteLayers()) {
+    layer.getSource().forEachFeature(f => {
+      if (f.get('shown') === 1 && typeof f.get('altitude_km') === 'number') satellites.push(f);
+    });
+  }
+  if (satellites.length > FOOTPRINT_LIMIT) {
+    const ring = selectionLayer.getSource().getFeatures()[0];
+    satellites = satellites.filter(f => ring && f.getGeometry() === ring.getGeometry());
   }
+  const features = [];
+  satellites.forEach(f => {
+    const altitude = f.get('altitude_km');
+    const [lon, lat] = ol.proj.toLonLat(f.getGeometry().getCoordinates());
+    const radius = footprintRadiusDeg(altitude, trackSettings.footprintMaskDeg);
+    if (!radius) return;
+    const ring = footprintRing(lat, lon, radius).map(c => ol.proj.fromLonLat(c));
+    const footprint = new ol.Feature({ geometry: new ol.geom.Polygon([ring]) });
+    footprint.setProperties({ type: 'footprint', name: f.get('name'), radius_deg: radius, mask_deg: trackSettings.footprintMaskDeg });
+    features.push(footprint);
+  });
+  source.addFeatures(features);
+}
+
+function initTrackControls() {
+  const readInt = (id, min, max, fallback) => {
+    const v = Math.round(Number(document.getElementById(id)?.value));
+    return Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback;
+  };
+  const apply = () => {
+    trackSettings.pastRevs = readInt('track-past-revs', 0, 10, 0);
+    trackSettings.futureRevs = readInt('track-future-revs', 1, 10, 1);
+    trackSettings.footprintMaskDeg = readInt('footprint-mask', 0, 45, 0);
+    trackSettings.showFootprints = document.getElementById('toggle-footprints')?.checked ?? true;
+    refreshOrbitTracks();
+    refreshFootprints();
+  };
+  ['track-past-revs', 'track-future-revs', 'footprint-mask', 'toggle-footprints']
+    .forEach(id => document.getElementById(id)?.addEventListener('change', apply));
+}
+
+initTrackControls();
+
+// -------------------------
+// Satellite clusters: with a large catalog shown, zoom levels up to SATELLITE_CLUSTER_MAX_ZOOM bin
+// the markers into a grid of SATELLITE_CLUSTER_CELL_PX cells and draw one counted marker per cell;
+// the WebGL point layers take over above it. Cells are fixed in map units for a resolution, so
+// panning keeps them and only zooming, new positions and filter changes re-bin.
+const SATELLITE_CLUSTER_MIN_COUNT = 2000; // the bundled sample data (~1,100) is never clustered
+const SATELLITE_CLUSTER_MAX_ZOOM = 4;
+const SATELLITE_CLUSTER_CELL_PX = 48;
+
+const clusterStyleCache = {};
+function satelliteClusterStyle(feature) {
+  const count = feature.get('count');
+  const color = feature.get('marker_color');
+  const key = `${count}:${color}`;
+  if (!clusterStyleCache[key]) {
+    clusterStyleCache[key] = new ol.style.Style({
+      image: new ol.style.Circle({
+        radius: count > 1 ? 9 + 4 * Math.log10(count) : 6,
+        fill: new ol.style.Fill({ color: count > 1 ? 'rgba(183, 28, 28, 0.75)' : color }),
+        stroke: new ol.style.Stroke({ color: '#fff', width: 1 })
+      }),
+      text: count > 1 ? new ol.style.Text({
+        text: String(count),
+        font: 'bold 11px sans-serif',
+        fill: new ol.style.Fill({ color: '#fff' })
+      }) : undefined
+    });
+  }
+  return clusterStyleCache[key];
+}
+
+const satelliteClusterLayer = new ol.layer.Vector({
+  source: new ol.source.Vector(),
+  style: satelliteClusterStyle,
+  maxZoom: SATELLITE_CLUSTER_MAX_ZOOM,
+  zIndex: 5
+});
+map.addLayer(satelliteClusterLayer);
+let clusterResolution = null;
+
+function refreshSatelliteClusters() {
+  const shown = [];
+  for (const layer of satelliteLayers()) {
+    if (!layer.getVisible()) continue;
+    layer.getSource().forEachFeature(f => { if (f.get('shown') === 1) shown.push(f); });
+  }
+  const clustering = shown.length >= SATELLITE_CLUSTER_MIN_COUNT;
+  satelliteLayers().forEach(layer => layer.setMinZoom(clustering ? SATELLITE_CLUSTER_MAX_ZOOM : -Infinity));
+  satelliteClusterLayer.setVisible(clustering);
+  const source = satelliteClusterLayer.getSource();
+  const view = map.getView();
+  clusterResolution = view.getResolution();
+  if (!clustering || view.getZoom() > SATELLITE_CLUSTER_MAX_ZOOM) {
+    source.clear(true);
+    return source.changed();
+  }
+  const cell = SATELLITE_CLUSTER_CELL_PX * clusterResolution;
+  const cells = new Map();
+  shown.forEach(f => {
+    const [x, y] = f.getGeometry().getCoordinates();
+    const key = `${Math.floor(x / cell)}:${Math.floor(y / cell)}`;
+    let c = cells.get(key);
+    if (!c) cells.set(key, c = { x: 0, y: 0, members: [] });
+    c.x += x;
+    c.y += y;
+    c.members.push(f);
+  });
+  const features = [...cells.values()].map(c => {
+    const n = c.members.length;
+    const f = new ol.Feature({ geometry: new ol.geom.Point([c.x / n, c.y / n]) });
+    f.setProperties({ type: 'satellite_cluster', name: `${n} satellites`, count: n, members: c.members, marker_color: c.members[0].get('marker_color') });
+    return f;
+  });
+  source.clear(true);
+  source.addFeatures(features);
+}
+
+map.on('moveend', () => {
+  if (map.getView().getResolution() !== clusterResolution) refreshSatelliteClusters();
+});
+
+// a click on a cluster zooms in on it; a cell holding one satellite selects that satellite
+function openSatelliteCluster(feature) {
+  const members = feature.get('members');
+  if (members.length === 1) return selectSatelliteFeature(members[0]);
+  const view = map.getView();
+  view.animate({ center: feature.getGeometry().getCoordinates(), zoom: Math.min(SATELLITE_CLUSTER_MAX_ZOOM + 1, (view.getZoom() || 0) + 2), duration: 400 });
 }
-setInterval(animateLiveSatellites, 5000);
-animateLiveSatellites();
 
 // basemap switcher
 const basemapSelect = document.getElementById('basemap-switcher');
@@ -269,35 +1032,68 @@ if (basemapSelect) {
   });
 }
 
-
 // -------------------------
-// NDVI (keeps your existing code but defensive)
-async function triggerNDVIGeneration() {
-  console.log("[NDVI] Refreshing...");
-  try {
-    const redBand = "C:/Satcom Analyzer/frontend/public_map/assets/B04.tiff";
-    const nirBand = "C:/Satcom Analyzer/frontend/public_map/assets/B08.tiff";
-    const url = `http://localhost:5000/generate-ndvi?red_path=${encodeURIComponent(redBand)}&nir_path=${encodeURIComponent(nirBand)}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (data.error) throw new Error(data.error);
-    if (window.ndviLayer) map.removeLayer(window.ndviLayer);
-    window.ndviLayer = new ol.layer.Image({
-      source: new ol.source.ImageStatic({
-        url: data.ndvi_url,
-        imageExtent: ol.proj.transformExtent([82.48, -23.55, 164.18, 15.39], 'EPSG:4326', map.getView().getProjection())
-      }),
-      opacity: 0.7
-    });
-    map.addLayer(window.ndviLayer);
-    console.log("[NDVI] Layer added");
-  } catch (err) {
-    console.error("[NDVI] failed:", err);
+// Timeline control (play/pause, time warp, scrubber, jump to UTC, back to live)
+const TIMELINE_RANGE_MIN = 24 * 60; // scrubber spans +/- one day around the real current time
+
+function formatUTC(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+}
+
+function initTimeline() {
+  const playBtn = document.getElementById('timeline-play');
+  const rateSel = document.getElementById('timeline-rate');
+  const scrubber = document.getElementById('timeline-scrubber');
+  const dateInput = document.getElementById('timeline-date');
+  const jumpBtn = document.getElementById('timeline-jump');
+  const liveBtn = document.getElementById('timeline-live');
+  const label = document.getElementById('timeline-time');
+  if (!playBtn || !scrubber || !label) return;
+
+  scrubber.min = -TIMELINE_RANGE_MIN;
+  scrubber.max = TIMELINE_RANGE_MIN;
+  let scrubbing = false;
+
+  function render() {
+    const now = simClock.now();
+    label.textContent = formatUTC(now);
+    playBtn.textContent = simClock.playing ? '⏸' : '▶';
+    if (rateSel) rateSel.value = String(simClock.rate);
+    liveBtn?.classList.toggle('active', simClock.isLive());
+    if (!scrubbing) scrubber.value = String(Math.round((now.getTime() - Date.now()) / 60000));
   }
+
+  playBtn.addEventListener('click', () => (simClock.playing ? simClock.pause() : simClock.play()));
+  rateSel?.addEventListener('change', e => simClock.setRate(Number(e.target.value) || 1));
+  scrubber.addEventListener('input', e => {
+    scrubbing = true;
+    simClock.setTime(Date.now() + Number(e.target.value) * 60000);
+  });
+  scrubber.addEventListener('change', () => { scrubbing = false; });
+  jumpBtn?.addEventListener('click', () => {
+    // datetime-local has no zone; the control is labelled UTC so read it as such
+    if (dateInput?.value) simClock.setTime(Date.parse(dateInput.value + 'Z'));
+  });
+  liveBtn?.addEventListener('click', () => simClock.goLive());
+
+  simClock.onChange(render);
+  setInterval(render, 250);
+  render();
 }
 
-document.getElementById('refresh-ndvi')?.addEventListener('click', triggerNDVIGeneration);
-triggerNDVIGeneration().catch(()=>{});
+initTimeline();
+
+// discrete time changes re-derive tracks and the open satellite panel immediately
+simClock.onChange(reason => {
+  if (reason !== 'jump') return;
+  propagationEpoch++;
+  positionUpdate = null;
+  lastPropagation = -Infinity;
+  refreshOrbitTracks();
+  if (selectedProps?.type === 'satellite' && document.getElementById('satellite-info')?.style.display === 'block') {
+    showSatelliteInfo(selectedProps);
+  }
+});
 
 // -------------------------
 // Viewer panels utility
@@ -308,36 +1104,48 @@ function clearViewerPanels() {
 }
 
 function escapeHtml(str) {
-  return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
 }
 
 function formatNum(v, dp=4){ return (typeof v === 'number') ? v.toFixed(dp) : (v===null||v===undefined?'—':String(v)); }
 
+// lon/lat of a point feature, from its geometry
 function readLatLon(props = {}) {
-  const raw = props.raw || {};
-  const latCandidates = [raw.latitude, raw.latitude_deg, raw.lat, raw.lat_deg, props.latitude, props.latitude_deg, props.lat, props.lat_deg];
-  const lonCandidates = [raw.longitude, raw.longitude_deg, raw.lon, raw.lon_deg, raw.lng, raw.lng_deg, props.longitude, props.longitude_deg, props.lon, props.lon_deg, props.lng];
-  const lat = latCandidates.find(v => typeof v === 'number');
-  const lon = lonCandidates.find(v => typeof v === 'number');
-  return { lat: lat ?? null, lon: lon ?? null };
+  if (!(props.geometry instanceof ol.geom.Point)) return { lat: null, lon: null };
+  const [lon, lat] = ol.proj.toLonLat(props.geometry.getCoordinates());
+  return { lat, lon };
 }
 
 function smallTableRow(k, v) {
   return `<tr><td style="vertical-align:top; padding:4px 8px; font-weight:600; color:#cfcfcf">${escapeHtml(k)}</td><td style="padding:4px 8px; color:#ddd">${v}</td></tr>`;
 }
 
+// NORAD catalog number of a satellite feature: from the source record, else from its TLE
+function satelliteNoradId(props = {}) {
+  return props.norad_id ?? noradFromTLE(readTLE(props)?.line1);
+}
+
+// extra sections for the satellite panel: fn(props) -> html string (transmitters.js, ...)
+const satelliteInfoSections = [];
+
 function showSatelliteInfo(props) {
   const el = document.getElementById('satellite-info');
   if (!el) return;
   el.style.display = 'block';
   const raw = props.raw || {};
-  const id = props.id || raw.id || raw.norad_cat_id || raw.sat_id || '—';
-  const name = props.name || raw.name || raw.satname || 'Unknown';
-  const {lat, lon} = readLatLon(props);
-  const altitude = props.altitude_km ?? raw.altitude_km ?? raw.height_km ?? raw.elevation_km ?? raw.distance_km ?? '—';
-  const tle1 = props.tle_line1 || raw.tle_line1 || raw.tle1 || raw.line1 || '';
-  const tle2 = props.tle_line2 || raw.tle_line2 || raw.tle2 || raw.line2 || '';
+  const id = satelliteNoradId(props) ?? '—';
+  const name = props.name || 'Unknown';
+  const state = propagateSatrec(props.satrec, simClock.now());
+  const {lat, lon} = state || readLatLon(props);
+  const altitude = state?.altitude_km ?? props.altitude_km ?? '—';
+  const tle = readTLE(props);
   const coordsHtml = (lat !== null && lon !== null) ? `${formatNum(lat,4)}°, ${formatNum(lon,4)}°` : '—';
+  const positionSource = state ? `propagated from TLE at ${state.date.toISOString()}` : 'from data file';
+  const observer = activeObserver();
+  const look = satelliteLookAngles(props, simClock.now(), observer);
+  const lookHtml = look
+    ? `${formatNum(look.azimuth_deg,1)}° / ${formatNum(look.elevation_deg,1)}° / ${formatNum(look.range_km,1)} km`
+    : (props.look ? `${formatNum(props.look.azimuth_deg,1)}° / ${formatNum(props.look.elevation_deg,1)}° / ${formatNum(props.look.range_km,1)} km (data file, not ${escapeHtml(observer.name)})` : '—');
 
   el.innerHTML = `
     <h4>Satellite Information</h4>
@@ -346,9 +1154,17 @@ function showSatelliteInfo(props) {
       ${smallTableRow('ID / NORAD', escapeHtml(id))}
       ${smallTableRow('Coordinates', coordsHtml)}
       ${smallTableRow('Altitude (km)', (typeof altitude === 'number')?altitude.toFixed(2):escapeHtml(String(altitude)))}
+      ${smallTableRow('Velocity (km/s)', state ? formatNum(state.velocity_kms,3) : '—')}
+      ${smallTableRow('Position', escapeHtml(positionSource))}
+      ${smallTableRow('Source', escapeHtml(props.source || '—'))}
+      ${smallTableRow(`Az / El / Range from ${observer.name}`, lookHtml)}
+      ${smallTableRow('Visible', look ? (look.elevation_deg > 0 ? 'yes' : 'no (below horizon)') : '—')}
     </table>
     <h5 style="margin:6px 0 4px 0;">TLE / Orbit lines</h5>
-    <pre style="white-space:pre-wrap; color:#ddd; background:#111; padding:6px; border-radius:4px; max-height:160px; overflow:auto;">${escapeHtml(tle1 ? tle1 + '\n' + (tle2 || '') : (raw.tle || 'N/A'))}</pre>
+    <pre style="white-space:pre-wrap; color:#ddd; background:#111; padding:6px; border-radius:4px; max-height:160px; overflow:auto;">${escapeHtml(tle ? tle.line1 + '\n' + tle.line2 : 'N/A')}</pre>
+    ${satelliteInfoSections.map(section => {
+      try { return section(props) || ''; } catch (err) { console.error("[INFO] section failed:", err); return ''; }
+    }).join('')}
     <details style="color:#ddd; margin-top:8px;">
       <summary>Raw data (JSON)</summary>
       <pre style="white-space:pre-wrap; color:#ddd; background:#111; padding:6px; border-radius:4px; max-height:300px; overflow:auto;">${escapeHtml(JSON.stringify(raw, null, 2))}</pre>
@@ -361,10 +1177,10 @@ function showStationInfo(props) {
   if (!el) return;
   el.style.display = 'block';
   const raw = props.raw || {};
-  const name = props.name || raw.name || raw.callsign || 'Ground Station';
-  const id = props.id || raw.id || raw.station_id || raw.callsign || '—';
-  const country = props.country || raw.country || raw.cc || '—';
-  const elevation = props.elevation_m ?? raw.elevation_m ?? raw.elevation ?? '—';
+  const name = props.name || 'Ground Station';
+  const id = props.id ?? '—';
+  const country = props.country || '—';
+  const elevation = props.elevation_m ?? '—';
   const {lat, lon} = readLatLon(props);
   const coordsHtml = (lat !== null && lon !== null) ? `${formatNum(lat,4)}°, ${formatNum(lon,4)}° <a style="color:#6fb3ff; margin-left:6px;" href="https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(lat + ',' + lon)}" target="_blank" rel="noreferrer">view</a>` : '—';
 
@@ -389,9 +1205,9 @@ function showOrbitInfo(props) {
   if (!el) return;
   el.style.display = 'block';
   const raw = props.raw || {};
-  const name = props.name || raw.name || 'Orbit';
-  const period = props.period_min ?? raw.period_min ?? raw.period ?? '—';
-  const track = Array.isArray(raw.track) ? raw.track : (Array.isArray(props.track) ? props.track : []);
+  const name = props.name || 'Orbit';
+  const period = props.period_min ?? '—';
+  const track = Array.isArray(props.track) ? props.track : [];
   const pts = track.length;
   let bbox = '—';
   if (pts > 0) {
@@ -419,32 +1235,196 @@ function showOrbitInfo(props) {
   `;
 }
 
+// -------------------------
+// Selected satellite: a ring that follows the feature (it shares the feature's geometry)
+const selectionLayer = new ol.layer.Vector({
+  source: new ol.source.Vector(),
+  style: new ol.style.Style({
+    image: new ol.style.Circle({ radius: 12, stroke: new ol.style.Stroke({ color: '#00e5ff', width: 3 }) })
+  }),
+  zIndex: 20
+});
+selectionLayer.set('clickable', false);
+map.addLayer(selectionLayer);
+
+function highlightSatellite(feature) {
+  const source = selectionLayer.getSource();
+  source.clear();
+  if (feature) source.addFeature(new ol.Feature({ geometry: feature.getGeometry() }));
+}
+
+// select a satellite feature from anywhere (map click, search, tables): ring + info panel
+function selectSatelliteFeature(feature, opts = {}) {
+  if (!feature) return;
+  highlightSatellite(feature);
+  setSelectedProps(feature.getProperties());
+  clearViewerPanels();
+  showSatelliteInfo(selectedProps);
+  if (opts.zoom) {
+    const view = map.getView();
+    view.animate({ center: feature.getGeometry().getCoordinates(), zoom: Math.max(view.getZoom() || 0, 5), duration: 400 });
+  }
+}
+
+// look angles from the active observer: TLE propagation when available, else the
+// feature's sub-satellite point and altitude (tle_live.json); null when neither is known
+function satelliteLookAngles(props, date, observer = activeObserver()) {
+  if (props.satrec) return lookAngles(props.satrec, date, observer);
+  return markerLookAngles(props, observer);
+}
+
+// the same from the marker's position and altitude as last propagated (at most one update old) without
+// running SGP4, for scans over the whole catalog
+function markerLookAngles(props, observer = activeObserver()) {
+  const {lat, lon} = readLatLon(props);
+  const altitude = props.altitude_km;
+  if (lat === null || lon === null || typeof altitude !== 'number') return null;
+  return lookAnglesFromGeodetic(lat, lon, altitude, observer);
+}
+
+function showObserverInfo(props = {}) {
+  const el = document.getElementById('satellite-info');
+  if (!el) return;
+  el.style.display = 'block';
+  const observer = activeObserver();
+  const now = simClock.now();
+  let above = 0, known = 0;
+  for (const layer of satelliteLayers()) {
+    layer?.getSource().forEachFeature(f => {
+      const look = markerLookAngles(f.getProperties(), observer);
+      if (!look) return;
+      known++;
+      if (look.elevation_deg > 0) above++;
+    });
+  }
+  el.innerHTML = `
+    <h4>Observer</h4>
+    <p>${escapeHtml(props.description || 'Observer location')}</p>
+    <table style="width:100%; border-collapse:collapse;">
+      ${smallTableRow('Site', escapeHtml(observer.name))}
+      ${smallTableRow('Coordinates', `${formatNum(observer.lat,4)}°, ${formatNum(observer.lon,4)}°`)}
+      ${smallTableRow('Altitude (m)', formatNum(observer.alt_km * 1000, 0))}
+      ${smallTableRow('Time', formatUTC(now))}
+      ${smallTableRow('Satellites above horizon', known ? `${above} of ${known} with known position` : '—')}
+    </table>
+  `;
+}
+
+// -------------------------
+// Observer controls: site list, coordinate entry, geolocation, pick-on-map and marker drag
+let observerPickMode = false;
+
+function setObserverPickMode(on) {
+  observerPickMode = on;
+  document.getElementById('observer-pick')?.classList.toggle('active', on);
+  map.getTargetElement().style.cursor = on ? 'crosshair' : '';
+}
+
+function renderObserverControls() {
+  const site = observerSites.active();
+  const select = document.getElementById('observer-site');
+  if (select) {
+    select.innerHTML = observerSites.sites.map(s => `<option value="${escapeHtml(s.name)}">${escapeHtml(s.name)}</option>`).join('');
+    select.value = site.name;
+  }
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+  set('observer-name', site.name);
+  set('observer-lat', site.lat);
+  set('observer-lon', site.lon);
+  set('observer-alt', site.alt_m || 0);
+}
+
+function initObserverControls() {
+  const status = document.getElementById('observer-status');
+  const say = msg => { if (status) status.textContent = msg; };
+
+  document.getElementById('observer-site')?.addEventListener('change', e => observerSites.setActive(e.target.value));
+  document.getElementById('observer-save')?.addEventListener('click', () => {
+    const site = {
+      name: document.getElementById('observer-name')?.value.trim(),
+      lat: Number(document.getElementById('observer-lat')?.value),
+      lon: Number(document.getElementById('observer-lon')?.value),
+      alt_m: Number(document.getElementById('observer-alt')?.value) || 0
+    };
+    say(observerSites.upsert(site) ? `Saved ${site.name}` : 'Enter a name, latitude (-90..90) and longitude (-180..180).');
+  });
+  document.getElementById('observer-delete')?.addEventListener('click', () => {
+    if (observerSites.sites.length <= 1) return say('At least one site is required.');
+    observerSites.remove(observerSites.active().name);
+  });
+  document.getElementById('observer-pick')?.addEventListener('click', () => setObserverPickMode(!observerPickMode));
+  document.getElementById('observer-geolocate')?.addEventListener('click', () => {
+    if (!navigator.geolocation) return say('Geolocation is not available in this browser.');
+    say('Locating…');
+    navigator.geolocation.getCurrentPosition(
+      pos => {
+        const { longitude, latitude, altitude } = pos.coords;
+        observerSites.moveActive(Number(longitude.toFixed(5)), Number(latitude.toFixed(5)), typeof altitude === 'number' ? Math.round(altitude) : undefined);
+        say(`Located (±${Math.round(pos.coords.accuracy)} m)`);
+      },
+      err => say(`Geolocation failed: ${err.message}`),
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  });
+
+  // drag the observer marker to move the active site
+  if (observerLayer) {
+    const translate = new ol.interaction.Translate({ layers: [observerLayer] });
+    translate.on('translateend', () => {
+      const [lon, lat] = ol.proj.toLonLat(observerFeature.getGeometry().getCoordinates());
+      observerSites.moveActive(Number(lon.toFixed(5)), Number(lat.toFixed(5)));
+    });
+    map.addInteraction(translate);
+  }
+
+  renderObserverControls();
+}
+
+observerSites.onChange(site => {
+  observerFeature?.getGeometry().setCoordinates(ol.proj.fromLonLat([site.lon, site.lat]));
+  renderObserverControls();
+  if (selectedProps?.type === 'observer') showObserverInfo(selectedProps);
+  else if (selectedProps?.type === 'satellite' && document.getElementById('satellite-info')?.style.display === 'block') showSatelliteInfo(selectedProps);
+});
+
+initObserverControls();
+
 // hide all on startup
 clearViewerPanels();
 document.getElementById('satellite-info')?.querySelector('#satellite-details')?.parentElement?.style?.display;
 document.getElementById('satellite-info')?.style.setProperty('display','none');
 
-// single-click handler (top feature only)
-map.on('singleclick', function(evt) {
-  const feature = map.forEachFeatureAtPixel(evt.pixel, f => f);
+// selection ring and info panel for any map feature (map click, shared links); null clears both
+function selectFeature(feature) {
+  if (feature?.get('type') === 'satellite_cluster') return openSatelliteCluster(feature);
+  setSelectedProps(feature ? feature.getProperties() : null);
+  highlightSatellite(selectedProps?.type === 'satellite' ? feature : null);
   if (!feature) { clearViewerPanels(); return; }
   const props = feature.getProperties();
-  const type = props.type || (feature.getGeometry() instanceof ol.geom.LineString ? 'orbit' : (feature.getGeometry() instanceof ol.geom.Point ? (props.name === 'Observer' ? 'observer' : 'unknown') : 'unknown'));
+  const type = props.type || (isLineGeometry(feature.getGeometry()) ? 'orbit' : (feature.getGeometry() instanceof ol.geom.Point ? (props.name === 'Observer' ? 'observer' : 'unknown') : 'unknown'));
   clearViewerPanels();
   if (type === 'satellite') showSatelliteInfo(props);
   else if (type === 'station' || type === 'ground_station') showStationInfo(props);
   else if (type === 'orbit') showOrbitInfo(props);
-  else if (type === 'observer') {
+  else if (type === 'observer') showObserverInfo(props);
+  else {
     const el = document.getElementById('satellite-info');
     if (!el) return;
     el.style.display = 'block';
-    el.innerHTML = `<h4>Observer</h4><p>${escapeHtml(props.description || 'Observer location')}</p><p><b>Coordinates:</b> ${formatNum(observerLocation[1],4)}, ${formatNum(observerLocation[0],4)}</p>`;
-  } else {
-    const el = document.getElementById('satellite-info');
-    if (!el) return;
-    el.style.display = 'block';
-    el.innerHTML = `<h4>Feature</h4><pre style="white-space:pre-wrap; color:#ddd; background:#111; padding:6px; border-radius:4px;">${escapeHtml(JSON.stringify(props, null, 2))}</pre>`;
+    const { [feature.getGeometryName()]: _geometry, ...attributes } = props;
+    el.innerHTML = `<h4>${escapeHtml(props.name || 'Feature')}</h4><pre style="white-space:pre-wrap; color:#ddd; background:#111; padding:6px; border-radius:4px;">${escapeHtml(JSON.stringify(attributes, null, 2))}</pre>`;
+  }
+}
+
+// single-click handler (top feature only)
+map.on('singleclick', function(evt) {
+  if (observerPickMode) {
+    const [lon, lat] = ol.proj.toLonLat(evt.coordinate);
+    observerSites.moveActive(Number(lon.toFixed(5)), Number(lat.toFixed(5)));
+    setObserverPickMode(false);
+    return;
   }
+  selectFeature(map.forEachFeatureAtPixel(evt.pixel, f => f, { layerFilter: l => l.get('clickable') !== false }));
 });
 
 // Sidebar toggle - guard for existence
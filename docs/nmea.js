@@ -0,0 +1,222 @@
+// NMEA 0183 parsing (GGA, RMC, GSA, GSV, VTG) and a receiver state built up from the sentences.
+// Plain functions and objects, no DOM or OpenLayers: gps.js feeds lines in from a log file or Web Serial.
+
+const NMEA_TALKERS = { GP: 'GPS', GL: 'GLONASS', GA: 'Galileo', GB: 'BeiDou', BD: 'BeiDou', GQ: 'QZSS', GI: 'NavIC', GN: 'GNSS' };
+// GSA system IDs (NMEA 4.10+) -> the talker that reports those satellites in GSV
+const NMEA_SYSTEM_TALKERS = { 1: 'GP', 2: 'GL', 3: 'GA', 4: 'GB', 5: 'GQ', 6: 'GI' };
+const NMEA_FIX_QUALITY = ['Invalid', 'GPS', 'DGPS', 'PPS', 'RTK fixed', 'RTK float', 'Dead reckoning', 'Manual', 'Simulation'];
+const NMEA_FIX_TYPE = { 1: 'No fix', 2: '2D', 3: '3D' };
+const KNOTS_TO_KMH = 1.852;
+
+// XOR of everything between '$' and '*'; sentences without a checksum are accepted
+function nmeaChecksumOK(line) {
+  const star = line.lastIndexOf('*');
+  if (star < 0) return true;
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= line.charCodeAt(i);
+  return sum === parseInt(line.slice(star + 1, star + 3), 16);
+}
+
+function nmeaNumber(field) {
+  if (field === undefined || field === '') return null;
+  const n = Number(field);
+  return Number.isFinite(n) ? n : null;
+}
+
+// ddmm.mmmm / dddmm.mmmm plus hemisphere -> signed degrees
+function nmeaCoordinate(value, hemisphere) {
+  if (!value || !hemisphere) return null;
+  const dot = value.indexOf('.');
+  const degDigits = (dot < 0 ? value.length : dot) - 2;
+  if (degDigits < 1) return null;
+  const deg = Number(value.slice(0, degDigits)), min = Number(value.slice(degDigits));
+  if (!Number.isFinite(deg) || !Number.isFinite(min) || min >= 60) return null;
+  const v = deg + min / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -v : v;
+}
+
+// hhmmss(.ss) -> seconds of the UTC day
+function nmeaTimeOfDay(field) {
+  const m = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(field || '');
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+// ddmmyy -> milliseconds at 00:00 UTC (two-digit years are 1980-2079, the GPS era)
+function nmeaDate(field) {
+  const m = /^(\d{2})(\d{2})(\d{2})$/.exec(field || '');
+  if (!m) return null;
+  const yy = Number(m[3]);
+  return Date.UTC(yy < 80 ? 2000 + yy : 1900 + yy, Number(m[2]) - 1, Number(m[1]));
+}
+
+// One line -> { talker, type, ... } with the sentence's fields decoded, or { error } when it is
+// malformed. Sentence types other than the five above come back as { talker, type, unsupported: true }.
+function parseNMEASentence(line) {
+  const text = String(line).trim();
+  if (!/^\$[A-Z]{5},/.test(text)) return { error: 'not an NMEA sentence' };
+  if (!nmeaChecksumOK(text)) return { error: 'checksum mismatch' };
+  const star = text.lastIndexOf('*');
+  const f = text.slice(1, star < 0 ? undefined : star).split(',');
+  const talker = f[0].slice(0, 2), type = f[0].slice(2);
+  const base = { talker, type };
+  switch (type) {
+    case 'GGA':
+      return Object.assign(base, {
+        timeOfDay: nmeaTimeOfDay(f[1]),
+        lat: nmeaCoordinate(f[2], f[3]),
+        lon: nmeaCoordinate(f[4], f[5]),
+        quality: nmeaNumber(f[6]) ?? 0,
+        satsUsed: nmeaNumber(f[7]),
+        hdop: nmeaNumber(f[8]),
+        alt_m: nmeaNumber(f[9]),
+        geoidSep_m: nmeaNumber(f[11])
+      });
+    case 'RMC':
+      return Object.assign(base, {
+        timeOfDay: nmeaTimeOfDay(f[1]),
+        valid: f[2] === 'A',
+        lat: nmeaCoordinate(f[3], f[4]),
+        lon: nmeaCoordinate(f[5], f[6]),
+        speed_kn: nmeaNumber(f[7]),
+        course_deg: nmeaNumber(f[8]),
+        date: nmeaDate(f[9])
+      });
+    case 'GSA':
+      return Object.assign(base, {
+        fixType: nmeaNumber(f[2]) ?? 1,
+        prns: f.slice(3, 15).map(nmeaNumber).filter(p => p !== null),
+        pdop: nmeaNumber(f[15]),
+        hdop: nmeaNumber(f[16]),
+        vdop: nmeaNumber(f[17]),
+        systemId: nmeaNumber(f[18])
+      });
+    case 'GSV': {
+      const sats = [];
+      // blocks of four after the three header fields; an odd trailing field is the 4.10 signal ID
+      for (let i = 4; i + 3 < f.length; i += 4) {
+        const prn = nmeaNumber(f[i]);
+        if (prn !== null) sats.push({ prn, elevation_deg: nmeaNumber(f[i + 1]), azimuth_deg: nmeaNumber(f[i + 2]), snr_db: nmeaNumber(f[i + 3]) });
+      }
+      return Object.assign(base, { total: nmeaNumber(f[1]), index: nmeaNumber(f[2]), inView: nmeaNumber(f[3]), sats });
+    }
+    case 'VTG':
+      return Object.assign(base, {
+        course_deg: nmeaNumber(f[1]),
+        speed_kn: nmeaNumber(f[5]),
+        speed_kmh: nmeaNumber(f[7])
+      });
+    default:
+      return Object.assign(base, { unsupported: true });
+  }
+}
+
+// -------------------------
+// Receiver state
+function createGPSState() {
+  return {
+    time: null,        // Date of the latest fix (RMC date + GGA / RMC time)
+    date: null,        // ms at 00:00 UTC of the last RMC date
+    lat: null, lon: null,
+    alt_m: null,       // above mean sea level
+    geoidSep_m: null,  // geoid above the ellipsoid, so ellipsoid height = alt_m + geoidSep_m
+    quality: 0, fixType: null, valid: false,
+    satsUsed: null,
+    pdop: null, hdop: null, vdop: null,
+    speed_kmh: null, course_deg: null,
+    usedPRNs: {},      // talker -> [prn] from GSA
+    inView: {},        // talker -> [{ prn, elevation_deg, azimuth_deg, snr_db }] from complete GSV groups
+    gsvPending: {},
+    counts: { sentences: 0, errors: 0, unsupported: 0 }
+  };
+}
+
+function gpsStateTime(state, timeOfDay) {
+  if (timeOfDay === null) return state.time;
+  const now = new Date();
+  const day = state.date ?? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(day + timeOfDay * 1000);
+}
+
+// Fold one parsed sentence into the state. Returns true when it carried a new position (GGA / RMC).
+function applyNMEASentence(state, msg) {
+  if (msg.error) { state.counts.errors++; return false; }
+  state.counts.sentences++;
+  switch (msg.type) {
+    case 'GGA':
+      state.quality = msg.quality;
+      state.satsUsed = msg.satsUsed;
+      if (msg.hdop !== null) state.hdop = msg.hdop;
+      state.time = gpsStateTime(state, msg.timeOfDay);
+      if (msg.quality > 0 && msg.lat !== null && msg.lon !== null) {
+        Object.assign(state, { lat: msg.lat, lon: msg.lon, alt_m: msg.alt_m, geoidSep_m: msg.geoidSep_m, valid: true });
+        return true;
+      }
+      state.valid = false;
+      return false;
+    case 'RMC':
+      if (msg.date !== null) state.date = msg.date;
+      state.time = gpsStateTime(state, msg.timeOfDay);
+      if (msg.speed_kn !== null) state.speed_kmh = msg.speed_kn * KNOTS_TO_KMH;
+      if (msg.course_deg !== null) state.course_deg = msg.course_deg;
+      state.valid = msg.valid;
+      if (msg.valid && msg.lat !== null && msg.lon !== null) {
+        Object.assign(state, { lat: msg.lat, lon: msg.lon });
+        return true;
+      }
+      return false;
+    case 'GSA': {
+      state.fixType = msg.fixType;
+      Object.assign(state, { pdop: msg.pdop ?? state.pdop, hdop: msg.hdop ?? state.hdop, vdop: msg.vdop ?? state.vdop });
+      state.usedPRNs[NMEA_SYSTEM_TALKERS[msg.systemId] || msg.talker] = msg.prns;
+      return false;
+    }
+    case 'GSV': {
+      // a group of `total` sentences lists the satellites of one constellation; publish it once complete
+      if (msg.index === 1 || !state.gsvPending[msg.talker]) state.gsvPending[msg.talker] = [];
+      state.gsvPending[msg.talker].push(...msg.sats);
+      if (msg.index === msg.total) {
+        state.inView[msg.talker] = state.gsvPending[msg.talker];
+        delete state.gsvPending[msg.talker];
+      }
+      return false;
+    }
+    case 'VTG':
+      if (msg.speed_kmh !== null) state.speed_kmh = msg.speed_kmh;
+      else if (msg.speed_kn !== null) state.speed_kmh = msg.speed_kn * KNOTS_TO_KMH;
+      if (msg.course_deg !== null) state.course_deg = msg.course_deg;
+      return false;
+    default:
+      state.counts.unsupported++;
+      return false;
+  }
+}
+
+// satellites in view across constellations, flagged when the fix uses them (receivers that send
+// a single GNGSA without system IDs get matched on PRN alone)
+function gpsSatellitesInView(state) {
+  const usedAll = new Set(Object.values(state.usedPRNs).flat());
+  return Object.entries(state.inView).flatMap(([talker, sats]) => {
+    const used = state.usedPRNs[talker] ? new Set(state.usedPRNs[talker]) : usedAll;
+    return sats.map(s => Object.assign({ talker, system: NMEA_TALKERS[talker] || talker, used: used.has(s.prn) }, s));
+  });
+}
+
+// Split a log into epochs: runs of lines sharing one GGA / RMC time stamp, which pace a replay.
+// Returns [{ timeOfDay, lines }]; timeOfDay stays null for epochs without a timed sentence.
+function groupNMEAEpochs(text) {
+  const epochs = [];
+  let current = null;
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const stamp = /^\$[A-Z]{2}(?:GGA|RMC),([^,]*)/.exec(line);
+    const t = stamp ? nmeaTimeOfDay(stamp[1]) : null;
+    if (!current || (t !== null && current.timeOfDay !== null && t !== current.timeOfDay)) {
+      current = { timeOfDay: null, lines: [] };
+      epochs.push(current);
+    }
+    if (t !== null && current.timeOfDay === null) current.timeOfDay = t;
+    current.lines.push(line);
+  }
+  return epochs;
+}
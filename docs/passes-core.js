@@ -0,0 +1,101 @@
+// Pass prediction (AOS / TCA / LOS / max elevation) shared by the page and propagation-worker.js.
+// Uses propagation.js and solar.js; no DOM or OpenLayers here — the worker loads this file with importScripts().
+
+const PASS_SEARCH_STEP_S = 30;
+const PASS_HORIZON_HOURS = 72;
+
+function bisectElevationCrossing(elevationAt, a, b, maskDeg) {
+  const rising = elevationAt(a) < maskDeg;
+  while (b - a > 1000) {
+    const m = (a + b) / 2;
+    if ((elevationAt(m) >= maskDeg) === rising) b = m;
+    else a = m;
+  }
+  return (a + b) / 2;
+}
+
+// golden-section search for the elevation peak between AOS and LOS
+function findCulmination(elevationAt, a, b) {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let c = b - g * (b - a), d = a + g * (b - a);
+  while (b - a > 1000) {
+    if (elevationAt(c) > elevationAt(d)) b = d;
+    else a = c;
+    c = b - g * (b - a);
+    d = a + g * (b - a);
+  }
+  return (a + b) / 2;
+}
+
+function buildPass(satrec, observer, aos, los, flags = {}) {
+  const elevationAt = t => lookAngles(satrec, new Date(t), observer)?.elevation_deg ?? -90;
+  const tca = findCulmination(elevationAt, aos, los);
+  const at = t => lookAngles(satrec, new Date(t), observer);
+  const aosLook = at(aos), tcaLook = at(tca), losLook = at(los);
+
+  // arc samples: used to draw the pass on the map and the sky plot. A sample is optically visible
+  // when the satellite is lit (sunlit or penumbra) and the observer's sky is darker than civil twilight.
+  const arc = [];
+  const step = Math.max(10000, (los - aos) / 60);
+  for (let t = aos; t < los + step; t += step) {
+    const time = new Date(Math.min(t, los));
+    const look = at(time.getTime());
+    if (!look) continue;
+    const illumination = satrecIllumination(look.state);
+    const sunElevation_deg = sunElevationDeg(observer, time);
+    arc.push({
+      time, azimuth_deg: look.azimuth_deg, elevation_deg: look.elevation_deg, range_km: look.range_km, lat: look.state.lat, lon: look.state.lon,
+      illumination, sunElevation_deg,
+      visible: illumination !== 'umbra' && sunElevation_deg < VISIBLE_PASS_SUN_MAX_DEG
+    });
+  }
+  const visibleSamples = arc.filter(s => s.visible);
+
+  return {
+    aos: new Date(aos),
+    tca: new Date(tca),
+    los: new Date(los),
+    aosAzimuth: aosLook?.azimuth_deg ?? null,
+    tcaAzimuth: tcaLook?.azimuth_deg ?? null,
+    losAzimuth: losLook?.azimuth_deg ?? null,
+    maxElevation: tcaLook?.elevation_deg ?? null,
+    duration_s: (los - aos) / 1000,
+    inProgress: !!flags.inProgress,
+    truncated: !!flags.truncated,
+    visible: visibleSamples.length > 0,
+    visibleStart: visibleSamples[0]?.time ?? null,
+    visibleEnd: visibleSamples[visibleSamples.length - 1]?.time ?? null,
+    arc
+  };
+}
+
+// Next `count` passes of one satellite above `minElevationDeg`, searching from `start`.
+function predictPasses(satrec, observer, start, opts = {}) {
+  const count = opts.count ?? 5;
+  const mask = opts.minElevationDeg ?? 10;
+  const stepMs = (opts.stepSec ?? PASS_SEARCH_STEP_S) * 1000;
+  const t0 = start.getTime();
+  const tEnd = t0 + (opts.horizonHours ?? PASS_HORIZON_HOURS) * 3600 * 1000;
+  const elevationAt = t => lookAngles(satrec, new Date(t), observer)?.elevation_deg ?? -90;
+
+  const passes = [];
+  let prevT = t0, prevEl = elevationAt(t0);
+  let aos = prevEl >= mask ? t0 : null;
+  let inProgress = aos !== null;
+  for (let t = t0 + stepMs; t <= tEnd && passes.length < count; t += stepMs) {
+    const el = elevationAt(t);
+    if (aos === null && prevEl < mask && el >= mask) {
+      aos = bisectElevationCrossing(elevationAt, prevT, t, mask);
+    } else if (aos !== null && prevEl >= mask && el < mask) {
+      const los = bisectElevationCrossing(elevationAt, prevT, t, mask);
+      passes.push(buildPass(satrec, observer, aos, los, { inProgress }));
+      aos = null;
+      inProgress = false;
+    }
+    prevT = t;
+    prevEl = el;
+  }
+  // still above the mask at the end of the search window (e.g. geostationary)
+  if (aos !== null && passes.length < count) passes.push(buildPass(satrec, observer, aos, tEnd, { inProgress, truncated: true }));
+  return passes;
+}
@@ -0,0 +1,183 @@
+// Sidebar pass table for the observer. The searches (passes-core.js) run in propagation-worker.js,
+// one satellite per job. Loaded after map.js: uses the map, satellite layers, worker and simClock defined there.
+
+const PASS_JOB_SATELLITES = 1; // per worker job: position updates queued behind it wait for one satellite's search
+
+let passRows = [];
+let passSort = { key: 'aos', dir: 1 };
+let passRunId = 0;
+let passLayer;
+let selectedPassRow = null;
+const passSelectionListeners = [];
+
+// fn(row) with row = { feature, name, pass } whenever a pass is picked in the table, and fn(null) when
+// the passes are predicted again and the picked row no longer exists
+function onPassSelected(fn) { passSelectionListeners.push(fn); }
+
+function notifyPassSelection(row) {
+  passSelectionListeners.forEach(fn => {
+    try { fn(row); } catch (err) { console.error("[PASSES] listener failed:", err); }
+  });
+}
+
+function clearPassSelection() {
+  if (!selectedPassRow) return;
+  selectedPassRow = null;
+  passLayer?.getSource().clear();
+  notifyPassSelection(null);
+}
+
+function trackedSatelliteFeatures() {
+  const seen = new Set();
+  const out = [];
+  for (const layer of satelliteLayers()) {
+    layer?.getSource().forEachFeature(f => {
+      const key = f.get('sat_key'); // NORAD ID first: many distinct objects share a name
+      if (!f.get('satrec') || seen.has(key)) return;
+      seen.add(key);
+      out.push(f);
+    });
+  }
+  return out;
+}
+
+function formatPassTime(date) {
+  return date ? date.toISOString().slice(5, 19).replace('T', ' ') : '—';
+}
+
+function formatDuration(seconds) {
+  const m = Math.floor(seconds / 60), s = Math.round(seconds % 60);
+  return `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+async function runPassPrediction() {
+  const status = document.getElementById('pass-status');
+  const mask = Number(document.getElementById('pass-min-el')?.value ?? 10);
+  const count = Math.max(1, Number(document.getElementById('pass-count')?.value ?? 3));
+  const runId = ++passRunId;
+  clearPassSelection();
+  const observer = activeObserver();
+  const start = simClock.now();
+  syncPropagationSlots(); // the worker searches the satellites registered for the map
+  const sats = trackedSatelliteFeatures().filter(f => slotTLEs.has(satrecSlots.get(f.get('satrec'))));
+  if (!sats.length) {
+    passRows = [];
+    renderPassTable();
+    if (status) status.textContent = 'No satellites with TLEs loaded.';
+    return;
+  }
+
+  const rows = [];
+  for (let i = 0; i < sats.length; i += PASS_JOB_SATELLITES) {
+    const batch = sats.slice(i, i + PASS_JOB_SATELLITES);
+    let result;
+    try {
+      result = await runPropagationJob({
+        type: 'passes',
+        time: start.getTime(),
+        slots: batch.map(f => satrecSlots.get(f.get('satrec'))),
+        observer,
+        options: { count, minElevationDeg: mask }
+      });
+    } catch (err) {
+      console.warn("[PASSES] prediction failed:", err.message);
+      if (runId === passRunId && status) status.textContent = `Pass prediction failed: ${err.message}`;
+      return;
+    }
+    if (runId !== passRunId) return; // superseded by a newer run
+    result.passes.forEach((passes, k) => passes.forEach(pass => rows.push({ feature: batch[k], name: batch[k].get('name'), pass })));
+    if (status) status.textContent = `Predicting… ${Math.min(i + PASS_JOB_SATELLITES, sats.length)}/${sats.length}`;
+    if (!getPropagationWorker()) await new Promise(r => setTimeout(r, 0)); // searching on the page: keep the map responsive
+  }
+  passRows = rows;
+  renderPassTable();
+  const visible = rows.filter(r => r.pass.visible).length;
+  if (status) status.textContent = `${rows.length} passes (${visible} optically visible) for ${sats.length} satellites above ${mask}° over ${observer.name} from ${formatUTC(start)}`;
+}
+
+const PASS_SORT_VALUES = {
+  name: r => r.name,
+  aos: r => r.pass.aos.getTime(),
+  tca: r => r.pass.tca.getTime(),
+  los: r => r.pass.los.getTime(),
+  maxElevation: r => r.pass.maxElevation ?? -90,
+  duration: r => r.pass.duration_s
+};
+
+function renderPassTable() {
+  const tbody = document.querySelector('#pass-table tbody');
+  if (!tbody) return;
+  const value = PASS_SORT_VALUES[passSort.key] || PASS_SORT_VALUES.aos;
+  passRows.sort((a, b) => {
+    const va = value(a), vb = value(b);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * passSort.dir;
+  });
+  document.querySelectorAll('#pass-table th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === passSort.key && passSort.dir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === passSort.key && passSort.dir === -1);
+  });
+  const visibleOnly = document.getElementById('pass-visible-only')?.checked;
+  tbody.innerHTML = passRows.map((r, i) => {
+    const p = r.pass;
+    if (visibleOnly && !p.visible) return '';
+    const aos = formatPassTime(p.aos) + (p.inProgress ? ' *' : '');
+    const los = formatPassTime(p.los) + (p.truncated ? ' +' : '');
+    const visible = p.visible
+      ? ` <span class="pass-visible" title="Optically visible ${formatPassTime(p.visibleStart)} – ${formatPassTime(p.visibleEnd)} (satellite lit, observer in darkness)">✦</span>`
+      : '';
+    return `<tr data-row="${i}">
+      <td>${escapeHtml(r.name)}${visible}</td>
+      <td>${aos}<br><small>${formatNum(p.aosAzimuth, 0)}°</small></td>
+      <td>${formatPassTime(p.tca)}<br><small>${formatNum(p.tcaAzimuth, 0)}°</small></td>
+      <td>${formatNum(p.maxElevation, 1)}°</td>
+      <td>${los}<br><small>${formatNum(p.losAzimuth, 0)}°</small></td>
+      <td>${formatDuration(p.duration_s)}</td>
+    </tr>`;
+  }).join('');
+}
+
+function highlightPass(row) {
+  if (!passLayer) {
+    passLayer = new ol.layer.Vector({
+      source: new ol.source.Vector(),
+      style: new ol.style.Style({ stroke: new ol.style.Stroke({ color: '#00e5ff', width: 5 }) }),
+      zIndex: 10
+    });
+    map.addLayer(passLayer);
+  }
+  const source = passLayer.getSource();
+  source.clear();
+  const segments = splitAtAntimeridian(row.pass.arc.map(s => [s.lat, s.lon]));
+  if (!segments.length) return;
+  const arc = new ol.Feature({ geometry: trackGeometry(segments) });
+  arc.setProperties({ type: 'pass', name: row.name });
+  source.addFeature(arc);
+  map.getView().fit(arc.getGeometry().getExtent(), { padding: [80, 80, 80, 80], maxZoom: 6, duration: 300 });
+}
+
+function selectPassRow(row) {
+  document.querySelectorAll('#pass-table tbody tr').forEach(tr => tr.classList.toggle('selected', passRows[tr.dataset.row] === row));
+  highlightPass(row);
+  selectedPassRow = row;
+  selectSatelliteFeature(row.feature);
+  notifyPassSelection(row);
+}
+
+function initPassPanel() {
+  document.getElementById('pass-refresh')?.addEventListener('click', runPassPrediction);
+  document.getElementById('pass-visible-only')?.addEventListener('change', renderPassTable);
+  document.querySelectorAll('#pass-table th[data-sort]').forEach(th => th.addEventListener('click', () => {
+    const key = th.dataset.sort;
+    passSort = { key, dir: passSort.key === key ? -passSort.dir : 1 };
+    renderPassTable();
+  }));
+  document.querySelector('#pass-table tbody')?.addEventListener('click', e => {
+    const tr = e.target.closest('tr[data-row]');
+    if (tr) selectPassRow(passRows[Number(tr.dataset.row)]);
+  });
+  simClock.onChange(reason => { if (reason === 'jump' && passRows.length) runPassPrediction(); });
+  observerSites.onChange(runPassPrediction);
+  layersReady.then(runPassPrediction);
+}
+
+initPassPanel();
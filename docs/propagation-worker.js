@@ -0,0 +1,22 @@
+// Web Worker: SGP4 propagation of the whole satellite catalog off the main thread.
+// Messages in:  { id, type: 'load', satellites: [[slot, line1, line2], ...] }   register / replace TLEs
+//               { id, type: 'drop', slots: [slot, ...] }
+//               { id, type: 'positions', time, slots: Int32Array }
+//               { id, type: 'tracks', time, slots: [slot, ...], pastRevs, futureRevs }
+//               { id, type: 'passes', time, slots: [slot, ...], observer, options }   predictPasses() per slot
+// Messages out: { id, ok: true, result } or { id, ok: false, error }. `positions` results carry a
+// Float64Array (transferred) of POSITION_FIELDS values per slot, see createPropagationRegistry().
+
+importScripts('https://cdn.jsdelivr.net/npm/satellite.js@5.0.0/dist/satellite.min.js', 'propagation.js', 'solar.js', 'passes-core.js');
+
+const registry = createPropagationRegistry();
+
+self.onmessage = (e) => {
+  const { id } = e.data || {};
+  try {
+    const result = runPropagationRequest(registry, e.data || {});
+    self.postMessage({ id, ok: true, result }, result.values ? [result.values.buffer] : []);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,240 @@
+// TLE propagation (SGP4 / SDP4) on top of satellite.js
+// satellite.js picks SGP4 or SDP4 (deep space, period >= 225 min) from the elements itself.
+
+const EARTH_RADIUS_KM = 6378.137;
+
+function tleChecksum(line) {
+  let sum = 0;
+  for (const ch of line.slice(0, 68)) {
+    if (ch >= '0' && ch <= '9') sum += Number(ch);
+    else if (ch === '-') sum += 1;
+  }
+  return sum % 10;
+}
+
+// returns null when both lines look sane, otherwise a short reason string
+function validateTLE(line1, line2) {
+  if (typeof line1 !== 'string' || typeof line2 !== 'string') return 'missing TLE line';
+  const l1 = line1.trimEnd(), l2 = line2.trimEnd();
+  if (l1.length !== 69 || l2.length !== 69) return 'TLE lines must be 69 characters';
+  if (l1[0] !== '1' || l2[0] !== '2') return 'TLE lines must start with 1 and 2';
+  if (l1.slice(2, 7) !== l2.slice(2, 7)) return 'catalog numbers of line 1 and 2 differ';
+  if (tleChecksum(l1) !== Number(l1[68])) return 'line 1 checksum mismatch';
+  if (tleChecksum(l2) !== Number(l2[68])) return 'line 2 checksum mismatch';
+  return null;
+}
+
+// TLE lines of a feature (set from the ingested record, see ingest.js)
+function readTLE(props = {}) {
+  const line1 = props.tle_line1 || null;
+  const line2 = props.tle_line2 || null;
+  return (line1 && line2) ? { line1, line2 } : null;
+}
+
+function createSatrec(line1, line2) {
+  if (typeof satellite === 'undefined') return null;
+  if (validateTLE(line1, line2)) return null;
+  const satrec = satellite.twoline2satrec(line1.trimEnd(), line2.trimEnd());
+  return satrec.error ? null : satrec;
+}
+
+// Propagate to `date` and return geodetic position, altitude and velocity.
+// Returns null when the elements have decayed or otherwise failed to propagate.
+function propagateSatrec(satrec, date = new Date()) {
+  if (!satrec) return null;
+  const pv = satellite.propagate(satrec, date);
+  const p = pv && pv.position, v = pv && pv.velocity;
+  if (!p || !v || !Number.isFinite(p.x) || satrec.error) return null;
+
+  const gmst = satellite.gstime(date);
+  const geo = satellite.eciToGeodetic(p, gmst);
+  let lon = satellite.degreesLong(geo.longitude);
+  if (lon > 180) lon -= 360;
+  return {
+    date,
+    lat: satellite.degreesLat(geo.latitude),
+    lon,
+    altitude_km: geo.height,
+    velocity_kms: Math.hypot(v.x, v.y, v.z),
+    positionEci: p,
+    velocityEci: v,
+    gmst
+  };
+}
+
+// satrec.no is mean motion in rad/min -> orbital period in minutes
+function satrecPeriodMinutes(satrec) {
+  return satrec && satrec.no ? (2 * Math.PI) / satrec.no : null;
+}
+
+// sample the sub-satellite point from `start` to `end` -> [[lat, lon], ...] (same order as tle_orbits.json)
+function computeGroundTrack(satrec, start, end, stepSec = 60) {
+  const track = [];
+  for (let t = start.getTime(); t <= end.getTime(); t += stepSec * 1000) {
+    const state = propagateSatrec(satrec, new Date(t));
+    if (state) track.push([state.lat, state.lon]);
+  }
+  return track;
+}
+
+// observer: { lon, lat } in degrees, alt_km above the ellipsoid (defaults to 0)
+function observerGeodetic(observer) {
+  return {
+    longitude: satellite.degreesToRadians(observer.lon),
+    latitude: satellite.degreesToRadians(observer.lat),
+    height: observer.alt_km || 0
+  };
+}
+
+// topocentric azimuth / elevation / slant range of the satellite as seen by `observer`
+function lookAngles(satrec, date, observer) {
+  const state = propagateSatrec(satrec, date);
+  if (!state) return null;
+  const ecf = satellite.eciToEcf(state.positionEci, state.gmst);
+  const look = satellite.ecfToLookAngles(observerGeodetic(observer), ecf);
+  return {
+    azimuth_deg: satellite.radiansToDegrees(look.azimuth),
+    elevation_deg: satellite.radiansToDegrees(look.elevation),
+    range_km: look.rangeSat,
+    state
+  };
+}
+
+// look angles for a satellite known only by its sub-satellite point and altitude (no TLE)
+function lookAnglesFromGeodetic(lat, lon, altitude_km, observer) {
+  const ecf = satellite.geodeticToEcf({
+    longitude: satellite.degreesToRadians(lon),
+    latitude: satellite.degreesToRadians(lat),
+    height: altitude_km
+  });
+  const look = satellite.ecfToLookAngles(observerGeodetic(observer), ecf);
+  return {
+    azimuth_deg: satellite.radiansToDegrees(look.azimuth),
+    elevation_deg: satellite.radiansToDegrees(look.elevation),
+    range_km: look.rangeSat
+  };
+}
+
+// NORAD catalog number from columns 3-7 of TLE line 1 (alpha-5 numbers are left as strings)
+function noradFromTLE(line1) {
+  if (typeof line1 !== 'string' || line1.length < 7) return null;
+  const field = line1.slice(2, 7).trim();
+  return /^\d+$/.test(field) ? Number(field) : (field || null);
+}
+
+// range rate (km/s, positive = receding) by central difference of the slant range
+function rangeRate(satrec, date, observer, dtSec = 0.5) {
+  const t = date.getTime();
+  const before = lookAngles(satrec, new Date(t - dtSec * 1000), observer);
+  const after = lookAngles(satrec, new Date(t + dtSec * 1000), observer);
+  if (!before || !after) return null;
+  return (after.range_km - before.range_km) / (2 * dtSec);
+}
+
+// -------------------------
+// Orbit regime (LEO / MEO / GEO / HEO)
+const EARTH_MU_KM3_S2 = 398600.4418;
+
+function altitudeRegime(altitude_km) {
+  if (typeof altitude_km !== 'number' || !Number.isFinite(altitude_km)) return null;
+  if (altitude_km < 2000) return 'LEO';
+  if (altitude_km < 35286) return 'MEO';
+  if (altitude_km <= 36286) return 'GEO';
+  return 'HEO';
+}
+
+// from the mean elements: eccentric orbits are HEO whatever their mean altitude
+function satrecRegime(satrec) {
+  if (!satrec?.no) return null;
+  const n = satrec.no / 60; // rad/s
+  const a = Math.cbrt(EARTH_MU_KM3_S2 / (n * n));
+  const perigee = a * (1 - satrec.ecco) - EARTH_RADIUS_KM;
+  const apogee = a * (1 + satrec.ecco) - EARTH_RADIUS_KM;
+  if (satrec.ecco > 0.25) return 'HEO';
+  if (apogee < 2000) return 'LEO';
+  if (perigee > 35286 && apogee < 36286) return 'GEO';
+  return altitudeRegime((perigee + apogee) / 2);
+}
+
+// satellite altitude from an observer's slant range and elevation (spherical Earth), for records
+// like tle_visible.json that only carry look angles
+function altitudeFromLook(range_km, elevation_deg) {
+  if (typeof range_km !== 'number' || typeof elevation_deg !== 'number') return null;
+  const el = elevation_deg * Math.PI / 180;
+  const r = Math.sqrt(EARTH_RADIUS_KM ** 2 + range_km ** 2 + 2 * EARTH_RADIUS_KM * range_km * Math.sin(el));
+  return r - EARTH_RADIUS_KM;
+}
+
+// -------------------------
+// Batch propagation of whole catalogs, shared by propagation-worker.js and the page (when workers are
+// unavailable). Satellites are registered by TLE under slot numbers the caller picks and are then
+// addressed by slot; positions come back as one flat Float64Array. Needs solar.js for the shadow state
+// and passes-core.js for pass prediction.
+const POSITION_FIELDS = 4; // lon, lat, altitude_km, illumination code per satellite
+const ILLUMINATION_CODES = ['sunlit', 'penumbra', 'umbra'];
+
+function createPropagationRegistry() {
+  const satrecs = new Map(); // slot -> satrec
+  return {
+    // entries: [[slot, line1, line2], ...], replacing whatever those slots held
+    load(entries) {
+      entries.forEach(([slot, line1, line2]) => {
+        const satrec = createSatrec(line1, line2);
+        if (satrec) satrecs.set(slot, satrec);
+        else satrecs.delete(slot);
+      });
+      return { count: satrecs.size };
+    },
+    drop(slots) {
+      slots.forEach(slot => satrecs.delete(slot));
+      return { count: satrecs.size };
+    },
+    // POSITION_FIELDS values per requested slot, in request order; NaN where propagation failed
+    positions(time, slots) {
+      const date = new Date(time);
+      const sun = sunPositionEci(date);
+      const values = new Float64Array(slots.length * POSITION_FIELDS).fill(NaN);
+      slots.forEach((slot, i) => {
+        const state = propagateSatrec(satrecs.get(slot), date);
+        if (!state) return;
+        const light = eclipseState(state.positionEci, sun);
+        values.set([state.lon, state.lat, state.altitude_km, light ? ILLUMINATION_CODES.indexOf(light) : NaN], i * POSITION_FIELDS);
+      });
+      return { time, values };
+    },
+    // ground tracks from `time`: futureRevs revolutions ahead and pastRevs behind, ~180 points per revolution
+    tracks(time, slots, pastRevs, futureRevs) {
+      const tracks = Array.from(slots, slot => {
+        const satrec = satrecs.get(slot);
+        if (!satrec) return { slot, period_min: null, future: [], past: [] };
+        const period = satrecPeriodMinutes(satrec) || 100;
+        const periodMs = period * 60 * 1000;
+        const step = Math.max(30, period * 60 / 180);
+        const now = new Date(time);
+        const future = computeGroundTrack(satrec, now, new Date(time + futureRevs * periodMs), step);
+        const past = pastRevs > 0 ? computeGroundTrack(satrec, new Date(time - pastRevs * periodMs), now, step) : [];
+        return { slot, period_min: period, future, past };
+      });
+      return { time, tracks };
+    },
+    // predictPasses() for each slot over `observer` from `time`; [] for slots without a satellite
+    passes(time, slots, observer, opts) {
+      const start = new Date(time);
+      const passes = Array.from(slots, slot => {
+        const satrec = satrecs.get(slot);
+        return satrec ? predictPasses(satrec, observer, start, opts) : [];
+      });
+      return { time, passes };
+    }
+  };
+}
+
+// one request ({ type: 'load' | 'drop' | 'positions' | 'tracks' | 'passes', ... }, see propagation-worker.js) against a registry
+function runPropagationRequest(registry, message) {
+  if (message.type === 'load') return registry.load(message.satellites);
+  if (message.type === 'drop') return registry.drop(message.slots);
+  if (message.type === 'positions') return registry.positions(message.time, message.slots);
+  if (message.type === 'tracks') return registry.tracks(message.time, message.slots, message.pastRevs, message.futureRevs);
+  if (message.type === 'passes') return registry.passes(message.time, message.slots, message.observer, message.options);
+  throw new Error(`Unknown request type: ${message.type}`);
+}
@@ -0,0 +1,307 @@
+// Raster helpers shared by the page and raster-worker.js: GeoTIFF band reading, band-math expressions,
+// histograms and colour ramps.
+// No DOM or OpenLayers here — the worker loads this file with importScripts().
+
+// colour ramps as [position 0..1, [r, g, b]] stops
+const COLOR_RAMPS = {
+  rdylgn: { label: 'Red–Yellow–Green', stops: [[0, [165, 0, 38]], [0.25, [244, 109, 67]], [0.5, [255, 255, 191]], [0.75, [102, 189, 99]], [1, [0, 104, 55]]] },
+  ndvi: { label: 'Soil–Vegetation', stops: [[0, [0, 0, 128]], [0.45, [191, 164, 120]], [0.55, [222, 217, 156]], [0.7, [120, 180, 60]], [1, [0, 90, 0]]] },
+  viridis: { label: 'Viridis', stops: [[0, [68, 1, 84]], [0.25, [59, 82, 139]], [0.5, [33, 145, 140]], [0.75, [94, 201, 98]], [1, [253, 231, 37]]] },
+  greys: { label: 'Greys', stops: [[0, [0, 0, 0]], [1, [255, 255, 255]]] }
+};
+
+function rampColor(stops, t) {
+  if (!(t > 0)) return stops[0][1];
+  if (t >= 1) return stops[stops.length - 1][1];
+  for (let i = 1; i < stops.length; i++) {
+    const [p1, c1] = stops[i];
+    if (t <= p1) {
+      const [p0, c0] = stops[i - 1];
+      const f = (t - p0) / (p1 - p0);
+      return [c0[0] + f * (c1[0] - c0[0]), c0[1] + f * (c1[1] - c0[1]), c0[2] + f * (c1[2] - c0[2])];
+    }
+  }
+  return stops[stops.length - 1][1];
+}
+
+// values -> RGBA between min and max; NaN pixels stay transparent
+function colorizeValues(values, rampName, min, max) {
+  const stops = (COLOR_RAMPS[rampName] || COLOR_RAMPS.rdylgn).stops;
+  // 256-entry lookup table keeps this fast for multi-megapixel rasters
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const c = rampColor(stops, i / 255);
+    lut[i * 3] = c[0]; lut[i * 3 + 1] = c[1]; lut[i * 3 + 2] = c[2];
+  }
+  const rgba = new Uint8ClampedArray(values.length * 4);
+  const scale = max > min ? 255 / (max - min) : 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isNaN(v)) continue;
+    const k = Math.max(0, Math.min(255, Math.round((v - min) * scale))) * 3;
+    rgba[i * 4] = lut[k];
+    rgba[i * 4 + 1] = lut[k + 1];
+    rgba[i * 4 + 2] = lut[k + 2];
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+// a second sample holding only 0/1 is a validity mask (Sentinel Hub "dataMask")
+function isMaskSample(sample) {
+  for (let i = 0; i < sample.length; i += 101) {
+    if (sample[i] !== 0 && sample[i] !== 1) return false;
+  }
+  return true;
+}
+
+function geoTIFFInfo(image) {
+  const geoKeys = image.getGeoKeys() || {};
+  const noData = image.getGDALNoData();
+  return {
+    width: image.getWidth(),
+    height: image.getHeight(),
+    bbox: image.getBoundingBox(), // [minX, minY, maxX, maxY] in the file's CRS
+    epsg: geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey || null,
+    noData: Number.isFinite(noData) ? noData : null
+  };
+}
+
+// georeferencing only (header + tags, no pixel data). Requires the geotiff.js global `GeoTIFF`.
+async function readGeoTIFFInfo(url) {
+  const tiff = await GeoTIFF.fromUrl(url, { allowFullFile: true });
+  return geoTIFFInfo(await tiff.getImage());
+}
+
+// Read the first sample of a single-band GeoTIFF together with its georeferencing.
+async function readGeoTIFFBand(url) {
+  const tiff = await GeoTIFF.fromUrl(url, { allowFullFile: true });
+  const image = await tiff.getImage();
+  const rasters = await image.readRasters();
+  return Object.assign({ url }, geoTIFFInfo(image), {
+    values: rasters[0],
+    mask: rasters.length > 1 && isMaskSample(rasters[rasters.length - 1]) ? rasters[rasters.length - 1] : null
+  });
+}
+
+function sameGrid(a, b) {
+  return a.width === b.width && a.height === b.height && a.epsg === b.epsg
+    && a.bbox.every((v, i) => Math.abs(v - b.bbox[i]) < 1e-9 * Math.max(1, Math.abs(v)));
+}
+
+function isValidPixel(band, i) {
+  return (!band.mask || band.mask[i] !== 0) && (band.noData === null || band.values[i] !== band.noData);
+}
+
+// -------------------------
+// Band-math expressions
+// Numbers, band names (B01–B12, B8A), + - * / ^, unary minus, parentheses and a few functions.
+// Parsed into a small tree and evaluated per pixel; nothing is passed to eval().
+const INDEX_PRESETS = {
+  NDVI: { label: 'NDVI — vegetation', expression: '(B08-B04)/(B08+B04)', range: [-1, 1] },
+  NDWI: { label: 'NDWI — open water', expression: '(B03-B08)/(B03+B08)', range: [-1, 1] },
+  EVI: { label: 'EVI — enhanced vegetation', expression: '2.5*(B08-B04)/(B08+6*B04-7.5*B02+1)', range: [-1, 1] },
+  SAVI: { label: 'SAVI — soil adjusted', expression: '1.5*(B08-B04)/(B08+B04+0.5)', range: [-1, 1] }
+};
+
+const EXPRESSION_FUNCTIONS = {
+  sqrt: { args: 1, fn: Math.sqrt },
+  abs: { args: 1, fn: Math.abs },
+  log: { args: 1, fn: Math.log },
+  exp: { args: 1, fn: Math.exp },
+  min: { args: 2, fn: Math.min },
+  max: { args: 2, fn: Math.max }
+};
+
+const BAND_NAME_RE = /^B(0[1-9]|1[0-2]|8A)$/;
+
+function tokenizeExpression(src) {
+  const tokens = [];
+  const re = /\s+|(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_]\w*)|([-+*/^(),])/y;
+  while (re.lastIndex < src.length) {
+    const pos = re.lastIndex;
+    const m = re.exec(src);
+    if (!m) throw new Error(`Unexpected '${src[pos]}' at position ${pos + 1}`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]), pos });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], pos });
+    else if (m[3] !== undefined) tokens.push({ type: 'op', value: m[3], pos });
+  }
+  return tokens;
+}
+
+// Recursive descent: expr = term (('+'|'-') term)*, term = unary (('*'|'/') unary)*,
+// unary = '-' unary | power, power = atom ('^' unary)?
+// Returns { ast, bands } where bands lists the band names used, in order of appearance.
+function parseBandExpression(src) {
+  const tokens = tokenizeExpression(String(src || ''));
+  const bands = [];
+  let i = 0;
+  const peek = () => tokens[i];
+  const fail = (msg) => { throw new Error(`${msg} at position ${peek() ? peek().pos + 1 : String(src).length + 1}`); };
+  const isOp = (v) => peek()?.type === 'op' && peek().value === v;
+  const expect = (v) => { if (!isOp(v)) fail(`Expected '${v}'`); i++; };
+
+  function expr() {
+    let node = term();
+    while (isOp('+') || isOp('-')) node = { op: tokens[i++].value, left: node, right: term() };
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (isOp('*') || isOp('/')) node = { op: tokens[i++].value, left: node, right: unary() };
+    return node;
+  }
+  function unary() {
+    if (isOp('-')) { i++; return { op: 'neg', arg: unary() }; }
+    if (isOp('+')) { i++; return unary(); }
+    return power();
+  }
+  function power() {
+    const base = atom();
+    if (isOp('^')) { i++; return { op: '^', left: base, right: unary() }; }
+    return base;
+  }
+  function atom() {
+    const t = peek();
+    if (!t) fail('Unexpected end of expression');
+    if (t.type === 'num') { i++; return { num: t.value }; }
+    if (isOp('(')) { i++; const node = expr(); expect(')'); return node; }
+    if (t.type === 'name') {
+      i++;
+      const fnName = t.value.toLowerCase();
+      if (isOp('(')) {
+        const def = EXPRESSION_FUNCTIONS[fnName];
+        if (!def) throw new Error(`Unknown function '${t.value}' at position ${t.pos + 1}`);
+        i++;
+        const args = [expr()];
+        while (isOp(',')) { i++; args.push(expr()); }
+        expect(')');
+        if (args.length !== def.args) throw new Error(`${fnName}() takes ${def.args} argument${def.args > 1 ? 's' : ''}`);
+        return { fn: fnName, args };
+      }
+      const band = t.value.toUpperCase();
+      if (!BAND_NAME_RE.test(band)) throw new Error(`Unknown band '${t.value}' at position ${t.pos + 1}`);
+      if (!bands.includes(band)) bands.push(band);
+      return { band };
+    }
+    fail(`Unexpected '${t.value}'`);
+  }
+
+  const ast = expr();
+  if (i < tokens.length) fail(`Unexpected '${peek().value}'`);
+  return { ast, bands };
+}
+
+// Turn the tree into a function of an array of band values (indexed like `bands`).
+function compileBandExpression(ast, bands) {
+  if ('num' in ast) { const v = ast.num; return () => v; }
+  if (ast.band) { const k = bands.indexOf(ast.band); return px => px[k]; }
+  if (ast.fn) {
+    const fn = EXPRESSION_FUNCTIONS[ast.fn].fn, args = ast.args.map(a => compileBandExpression(a, bands));
+    return args.length === 1 ? px => fn(args[0](px)) : px => fn(args[0](px), args[1](px));
+  }
+  if (ast.op === 'neg') { const a = compileBandExpression(ast.arg, bands); return px => -a(px); }
+  const l = compileBandExpression(ast.left, bands), r = compileBandExpression(ast.right, bands);
+  switch (ast.op) {
+    case '+': return px => l(px) + r(px);
+    case '-': return px => l(px) - r(px);
+    case '*': return px => l(px) * r(px);
+    case '/': return px => l(px) / r(px);
+    default: return px => Math.pow(l(px), r(px));
+  }
+}
+
+// Evaluate `expression` over `bands` ({ B04: band, ... } as returned by readGeoTIFFBand, each with an
+// optional `scale` to reflectance). Pixels where a used band is masked / no-data, or the result is
+// not finite, come out as NaN.
+function evaluateBandExpression(expression, bands) {
+  const { ast, bands: used } = parseBandExpression(expression);
+  if (!used.length) throw new Error('The expression does not use any band');
+  const inputs = used.map(name => {
+    if (!bands[name]) throw new Error(`Band ${name} is not loaded`);
+    return bands[name];
+  });
+  inputs.slice(1).forEach((b, k) => { if (!sameGrid(inputs[0], b)) throw new Error(`Bands ${used[0]} and ${used[k + 1]} are not on the same grid`); });
+  const evaluate = compileBandExpression(ast, used);
+  const scales = inputs.map(b => b.scale ?? 1);
+  const out = new Float32Array(inputs[0].width * inputs[0].height);
+  const px = new Array(inputs.length);
+  for (let i = 0; i < out.length; i++) {
+    let valid = true;
+    for (let k = 0; k < inputs.length; k++) {
+      if (!isValidPixel(inputs[k], i)) { valid = false; break; }
+      px[k] = inputs[k].values[i] * scales[k];
+    }
+    const v = valid ? evaluate(px) : NaN;
+    out[i] = Number.isFinite(v) ? v : NaN;
+  }
+  return out;
+}
+
+// Read the bands an expression needs (`catalog` maps band name -> { url, scale }) and evaluate it.
+// Used by the worker and, when workers are unavailable, by the page.
+async function computeRasterExpression(expression, catalog) {
+  const { bands: used } = parseBandExpression(expression);
+  const missing = used.filter(name => !catalog[name]);
+  if (missing.length) throw new Error(`Band${missing.length > 1 ? 's' : ''} ${missing.join(', ')} not available (have ${Object.keys(catalog).join(', ')})`);
+  const loaded = await Promise.all(used.map(name => readGeoTIFFBand(catalog[name].url)));
+  const bands = {};
+  used.forEach((name, k) => { bands[name] = Object.assign(loaded[k], { scale: catalog[name].scale ?? 1 }); });
+  const values = evaluateBandExpression(expression, bands);
+  const first = bands[used[0]];
+  const raw = {};
+  used.forEach(name => { raw[name] = { values: bands[name].values, scale: bands[name].scale }; });
+  return { values, width: first.width, height: first.height, bbox: first.bbox, epsg: first.epsg, bands: raw };
+}
+
+// A whole GeoTIFF file (bytes, e.g. a scene dropped on the map) as a raster result: the first sample, with
+// masked / nodata pixels as NaN, is the displayed value; every sample goes to `bands` for the inspector.
+async function computeGeoTIFFFile(buffer, name) {
+  const tiff = await GeoTIFF.fromArrayBuffer(buffer);
+  const image = await tiff.getImage();
+  const info = geoTIFFInfo(image);
+  const rasters = await image.readRasters();
+  const samples = Array.from({ length: rasters.length }, (_, k) => rasters[k]);
+  const mask = samples.length > 1 && isMaskSample(samples[samples.length - 1]) ? samples.pop() : null;
+  const first = { values: samples[0], mask, noData: info.noData };
+  const values = new Float32Array(info.width * info.height);
+  for (let i = 0; i < values.length; i++) values[i] = isValidPixel(first, i) ? first.values[i] : NaN;
+  const bands = {};
+  samples.forEach((sample, k) => { bands[samples.length > 1 ? `${name} b${k + 1}` : name] = { values: sample, scale: 1 }; });
+  return { values, width: info.width, height: info.height, bbox: info.bbox, epsg: info.epsg, bands };
+}
+
+// -------------------------
+// Histograms and stretch
+function computeHistogram(values, bins = 128) {
+  let min = Infinity, max = -Infinity, total = 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isNaN(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    total++;
+  }
+  const counts = new Uint32Array(bins);
+  if (!total) return { min: 0, max: 0, counts, total };
+  const scale = max > min ? bins / (max - min) : 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!Number.isNaN(v)) counts[Math.min(bins - 1, Math.floor((v - min) * scale))]++;
+  }
+  return { min, max, counts, total };
+}
+
+// value below which `fraction` (0..1) of the valid pixels fall, to bin resolution
+function histogramPercentile(hist, fraction) {
+  if (!hist.total) return 0;
+  const target = fraction * hist.total, width = (hist.max - hist.min) / hist.counts.length;
+  let seen = 0;
+  for (let b = 0; b < hist.counts.length; b++) {
+    if (seen + hist.counts[b] >= target) {
+      return hist.min + (b + (hist.counts[b] ? (target - seen) / hist.counts[b] : 0)) * width;
+    }
+    seen += hist.counts[b];
+  }
+  return hist.max;
+}
@@ -0,0 +1,22 @@
+// Web Worker: decode GeoTIFF bands and evaluate band-math expressions off the main thread.
+// Messages in:  { id, type: 'expression', expression, bands: { B04: { url, scale }, ... } }
+//               { id, type: 'geotiff', buffer, name }  (a GeoTIFF file's bytes, see computeGeoTIFFFile)
+// Messages out: { id, ok: true, result: { values, width, height, bbox, epsg, bands } } or { id, ok: false, error }
+// `bands` in the result holds the raw sample arrays of the bands the expression used, or of every sample
+// of the file (for the pixel inspector).
+
+importScripts('https://cdn.jsdelivr.net/npm/geotiff@2.1.3/dist-browser/geotiff.js', 'raster-core.js');
+
+self.onmessage = async (e) => {
+  const { id, type } = e.data || {};
+  try {
+    let result;
+    if (type === 'expression') result = await computeRasterExpression(e.data.expression, e.data.bands);
+    else if (type === 'geotiff') result = await computeGeoTIFFFile(e.data.buffer, e.data.name);
+    else throw new Error(`Unknown request type: ${type}`);
+    const buffers = [result.values.buffer, ...Object.values(result.bands).map(b => b.values.buffer)];
+    self.postMessage({ id, ok: true, result }, [...new Set(buffers)]);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: err.message || String(err) });
+  }
+};
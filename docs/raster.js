@@ -0,0 +1,479 @@
+// Raster analysis: band-math products (NDVI, NDWI, EVI, SAVI or any expression over the band
+// GeoTIFFs) drawn as georeferenced image layers, with a histogram-driven stretch and a pixel inspector.
+// Decoding and band maths run in raster-worker.js; if workers are unavailable (e.g. file://) the same
+// code from raster-core.js runs on the page instead. The Python NDVI service is an optional
+// accelerator for the NDVI preset: set NDVI_BACKEND_URL to try it first.
+
+// band name -> GeoTIFF and the factor to reflectance (Sentinel Hub UINT16 output stores reflectance × 65535).
+// The NDWI and EVI presets also need B03 / B02 tiles on the same grid listed here.
+const RASTER_BANDS = {
+  B04: { url: 'assets/B04.tiff', scale: 1 / 65535, label: 'Red' },
+  B08: { url: 'assets/B08.tiff', scale: 1 / 65535, label: 'NIR' }
+};
+const NDVI_BACKEND_URL = null; // e.g. 'http://localhost:5000'
+const RASTER_HISTOGRAM_BINS = 128;
+
+let rasterWorker = null;
+let rasterWorkerBroken = false;
+let rasterRequestId = 0;
+const rasterPending = new Map();
+
+// { name, expression, result, hist, ramp, stretch: [min, max], clip, layer }
+const rasterProducts = [];
+let activeRasterProduct = null;
+
+function absoluteUrl(path) {
+  return new URL(path, location.href).href;
+}
+
+function rasterBandCatalog() {
+  const catalog = {};
+  Object.entries(RASTER_BANDS).forEach(([name, b]) => { catalog[name] = { url: absoluteUrl(b.url), scale: b.scale }; });
+  return catalog;
+}
+
+// -------------------------
+// Worker jobs
+function getRasterWorker() {
+  if (rasterWorker || rasterWorkerBroken) return rasterWorker;
+  try {
+    rasterWorker = new Worker('raster-worker.js');
+    rasterWorker.onmessage = e => {
+      const { id, ok, result, error } = e.data || {};
+      const pending = rasterPending.get(id);
+      if (!pending) return;
+      rasterPending.delete(id);
+      if (ok) pending.resolve(result); else pending.reject(new Error(error));
+    };
+    rasterWorker.onerror = e => {
+      // the worker itself failed to start (blocked, importScripts error): fall back for good
+      console.warn("[RASTER] worker failed, computing on the page:", e.message);
+      rasterWorkerBroken = true;
+      rasterWorker.terminate();
+      rasterWorker = null;
+      const waiting = [...rasterPending.values()];
+      rasterPending.clear();
+      waiting.forEach(p => runRasterJobInPage(p.message).then(p.resolve, p.reject));
+    };
+  } catch (err) {
+    console.warn("[RASTER] workers unavailable, computing on the page:", err);
+    rasterWorkerBroken = true;
+    rasterWorker = null;
+  }
+  return rasterWorker;
+}
+
+async function runRasterJobInPage(message) {
+  if (message.type === 'expression') return computeRasterExpression(message.expression, message.bands);
+  if (message.type === 'geotiff') return computeGeoTIFFFile(message.buffer, message.name);
+  throw new Error(`Unknown request type: ${message.type}`);
+}
+
+function runRasterJob(message) {
+  const worker = getRasterWorker();
+  if (!worker) return runRasterJobInPage(message);
+  return new Promise((resolve, reject) => {
+    const id = ++rasterRequestId;
+    rasterPending.set(id, { resolve, reject, message });
+    worker.postMessage(Object.assign({ id }, message));
+  });
+}
+
+// OpenLayers knows EPSG:4326 and 3857; WGS 84 / UTM zones are registered through proj4 on demand
+function rasterProjection(epsg) {
+  if (!epsg) return null;
+  const code = `EPSG:${epsg}`;
+  if (ol.proj.get(code)) return code;
+  const utmNorth = epsg >= 32601 && epsg <= 32660, utmSouth = epsg >= 32701 && epsg <= 32760;
+  if ((utmNorth || utmSouth) && window.proj4) {
+    proj4.defs(code, `+proj=utm +zone=${epsg % 100}${utmSouth ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`);
+    ol.proj.proj4.register(proj4);
+    return code;
+  }
+  return null;
+}
+
+// -------------------------
+// Products and their layers
+function setRasterStatus(msg) {
+  const el = document.getElementById('raster-status');
+  if (el) el.textContent = msg;
+}
+
+function findRasterProduct(name) {
+  return rasterProducts.find(p => p.name === name) || null;
+}
+
+function rasterProductLayer(product) {
+  if (!product.layer) {
+    product.layer = new ol.layer.Image({ opacity: Number(document.getElementById('raster-opacity')?.value ?? 0.7) });
+    product.layer.set('clickable', false);
+    product.layer.set('title', product.name);
+    map.addLayer(product.layer);
+    if (product.name === 'NDVI') window.ndviLayer = product.layer;
+  }
+  return product.layer;
+}
+
+function setRasterImage(product, url, extent, projection) {
+  rasterProductLayer(product).setSource(new ol.source.ImageStatic({ url, imageExtent: extent, projection }));
+  product.imageUrl = url;
+  if (product === activeRasterProduct) {
+    const preview = document.getElementById('ndvi-image');
+    if (preview) preview.src = url;
+  }
+}
+
+function renderRasterProduct(product) {
+  if (!product.result) return;
+  const { values, width, height, bbox, epsg } = product.result;
+  const projection = rasterProjection(epsg);
+  if (!projection) throw new Error(`Unsupported raster CRS ${epsg ? 'EPSG:' + epsg : '(none in GeoTIFF tags)'}`);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(colorizeValues(values, product.ramp, product.stretch[0], product.stretch[1]), width, height), 0, 0);
+  setRasterImage(product, canvas.toDataURL('image/png'), bbox, projection);
+}
+
+// stretch for a clip mode: 'preset' (the index's natural range), 'minmax', 'manual' or a percentile fraction
+function rasterStretch(product, clip) {
+  const hist = product.hist;
+  if (clip === 'manual' && product.stretch) return product.stretch;
+  if (clip === 'preset' && product.range) return product.range.slice();
+  if (!hist || !hist.total) return product.range ? product.range.slice() : [0, 1];
+  if (clip === 'minmax') return [hist.min, hist.max];
+  const f = Number(clip) || 0.02;
+  return [histogramPercentile(hist, f), histogramPercentile(hist, 1 - f)];
+}
+
+function presetForExpression(expression) {
+  const compact = expression.replace(/\s+/g, '').toUpperCase();
+  return Object.keys(INDEX_PRESETS).find(k => INDEX_PRESETS[k].expression.toUpperCase() === compact) || null;
+}
+
+async function computeRasterProduct(expression) {
+  const presetKey = presetForExpression(expression);
+  const name = presetKey || expression.trim();
+  setRasterStatus(`Computing ${name}…`);
+  const started = performance.now();
+  const result = await runRasterJob({ type: 'expression', expression, bands: rasterBandCatalog() });
+  const existing = findRasterProduct(name);
+  const product = existing || { name, expression, ramp: document.getElementById('raster-ramp')?.value || 'rdylgn', range: presetKey ? INDEX_PRESETS[presetKey].range : null };
+  if (!existing) {
+    product.clip = product.range ? 'preset' : '0.02';
+    rasterProducts.push(product);
+  }
+  try {
+    showRasterResult(product, result);
+  } catch (err) {
+    if (!existing) removeRasterProduct(product); // no layer: keep it out of the list and the name checks
+    throw err;
+  }
+  setRasterStatus(`${name}: ${result.width}×${result.height} px, EPSG:${result.epsg}, ${Math.round(performance.now() - started)} ms`);
+  console.log(`[RASTER] ${name} layer added`);
+  return product;
+}
+
+// (re)draw a product from a fresh result: histogram, stretch for its clip mode, layer, panel
+function showRasterResult(product, result) {
+  product.result = result;
+  product.hist = computeHistogram(result.values, RASTER_HISTOGRAM_BINS);
+  product.stretch = rasterStretch(product, product.clip);
+  setActiveRasterProduct(product);
+  renderRasterProduct(product);
+  renderRasterProductList();
+}
+
+// A GeoTIFF file from the user (import.js) as a product of its own; nothing is added when its CRS is unsupported.
+async function addGeoTIFFProduct(name, buffer) {
+  const result = await runRasterJob({ type: 'geotiff', buffer, name });
+  if (!rasterProjection(result.epsg)) throw new Error(`Unsupported raster CRS ${result.epsg ? 'EPSG:' + result.epsg : '(none in GeoTIFF tags)'}`);
+  const samples = Object.keys(result.bands).length;
+  const product = {
+    name,
+    expression: `${name}${samples > 1 ? ` (sample 1 of ${samples})` : ''}`,
+    ramp: 'greys',
+    range: null,
+    clip: '0.02'
+  };
+  rasterProducts.push(product);
+  try {
+    showRasterResult(product, result);
+  } catch (err) {
+    removeRasterProduct(product);
+    throw err;
+  }
+  setRasterStatus(`${name}: ${result.width}×${result.height} px, EPSG:${result.epsg}`);
+  console.log(`[RASTER] ${name} imported`);
+  return product;
+}
+
+function removeRasterProduct(product) {
+  const i = rasterProducts.indexOf(product);
+  if (i < 0) return;
+  rasterProducts.splice(i, 1);
+  if (product.layer) map.removeLayer(product.layer);
+  if (window.ndviLayer === product.layer) window.ndviLayer = null;
+  if (activeRasterProduct === product) setActiveRasterProduct(rasterProducts[rasterProducts.length - 1] || null);
+  renderRasterProductList();
+  product.onRemove?.(product);
+}
+
+// -------------------------
+// NDVI (backend accelerator or in-browser)
+async function fetchBackendNDVI() {
+  const params = `red_path=${encodeURIComponent(absoluteUrl(RASTER_BANDS.B04.url))}&nir_path=${encodeURIComponent(absoluteUrl(RASTER_BANDS.B08.url))}`;
+  const response = await fetch(`${NDVI_BACKEND_URL}/generate-ndvi?${params}`);
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  // the backend renders its own colours; georeferencing still comes from the GeoTIFF tags
+  const info = await readGeoTIFFInfo(absoluteUrl(RASTER_BANDS.B04.url));
+  const projection = rasterProjection(info.epsg);
+  if (!projection) throw new Error(`Unsupported raster CRS EPSG:${info.epsg}`);
+  let product = findRasterProduct('NDVI');
+  if (!product) {
+    product = { name: 'NDVI', expression: INDEX_PRESETS.NDVI.expression, ramp: 'rdylgn', range: INDEX_PRESETS.NDVI.range, clip: 'preset', stretch: INDEX_PRESETS.NDVI.range.slice() };
+    rasterProducts.push(product);
+  }
+  product.result = null; // no pixel values: histogram and inspector stay empty
+  product.hist = null;
+  setActiveRasterProduct(product);
+  setRasterImage(product, data.ndvi_url, info.bbox, projection);
+  renderRasterProductList();
+}
+
+async function triggerNDVIGeneration() {
+  console.log("[NDVI] Refreshing...");
+  try {
+    if (NDVI_BACKEND_URL) {
+      try {
+        await fetchBackendNDVI();
+        setRasterStatus('NDVI rendered by the backend');
+        console.log("[NDVI] Layer added (backend)");
+        return;
+      } catch (err) {
+        console.warn("[NDVI] backend unavailable, computing in the browser:", err);
+      }
+    }
+    await computeRasterProduct(INDEX_PRESETS.NDVI.expression);
+  } catch (err) {
+    console.error("[NDVI] failed:", err);
+    setRasterStatus(`NDVI failed: ${err.message}`);
+  }
+}
+
+// -------------------------
+// Panel: product list, ramp / opacity / stretch, legend and histogram
+function setActiveRasterProduct(product) {
+  activeRasterProduct = product;
+  const preview = document.getElementById('ndvi-image');
+  if (preview && product?.imageUrl) preview.src = product.imageUrl;
+  syncRasterControls();
+}
+
+function syncRasterControls() {
+  const p = activeRasterProduct;
+  const set = (id, v) => { const el = document.getElementById(id); if (el && v !== undefined) el.value = v; };
+  if (p) {
+    set('raster-ramp', p.ramp);
+    set('raster-clip', p.clip);
+    set('raster-stretch-min', p.stretch ? formatNum(p.stretch[0], 4) : '');
+    set('raster-stretch-max', p.stretch ? formatNum(p.stretch[1], 4) : '');
+    if (p.layer) set('raster-opacity', p.layer.getOpacity());
+  }
+  drawRasterLegend();
+  drawRasterHistogram();
+}
+
+function drawRasterLegend() {
+  const p = activeRasterProduct;
+  const canvas = document.getElementById('raster-legend');
+  const ctx = canvas?.getContext?.('2d');
+  if (ctx) {
+    const stops = (COLOR_RAMPS[p?.ramp] || COLOR_RAMPS.rdylgn).stops;
+    for (let x = 0; x < canvas.width; x++) {
+      const [r, g, b] = rampColor(stops, x / (canvas.width - 1));
+      ctx.fillStyle = `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
+      ctx.fillRect(x, 0, 1, canvas.height);
+    }
+  }
+  const labels = document.getElementById('raster-legend-labels');
+  if (labels && p?.stretch) {
+    const [lo, hi] = p.stretch;
+    labels.innerHTML = [lo, (lo + hi) / 2, hi].map(v => `<span>${formatNum(v, 3)}</span>`).join('');
+  }
+}
+
+function drawRasterHistogram() {
+  const canvas = document.getElementById('raster-histogram');
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const w = canvas.width, h = canvas.height;
+  ctx.fillStyle = '#111';
+  ctx.fillRect(0, 0, w, h);
+  const p = activeRasterProduct, hist = p?.hist;
+  if (!hist || !hist.total) return;
+  const span = hist.max - hist.min || 1;
+  const x = v => ((v - hist.min) / span) * w;
+  // square-root scale so the tails stay visible next to a dominant peak
+  const peak = Math.sqrt(Math.max(...hist.counts));
+  const barW = w / hist.counts.length;
+  const stops = (COLOR_RAMPS[p.ramp] || COLOR_RAMPS.rdylgn).stops;
+  const [lo, hi] = p.stretch;
+  hist.counts.forEach((c, b) => {
+    const v = hist.min + (b + 0.5) * span / hist.counts.length;
+    const [r, g, bl] = rampColor(stops, hi > lo ? (v - lo) / (hi - lo) : 0);
+    ctx.fillStyle = `rgb(${Math.round(r)},${Math.round(g)},${Math.round(bl)})`;
+    const bh = (Math.sqrt(c) / peak) * (h - 14);
+    ctx.fillRect(b * barW, h - 12 - bh, Math.max(1, barW - 0.5), bh);
+  });
+  // stretch limits
+  ctx.strokeStyle = '#fff';
+  ctx.setLineDash([3, 3]);
+  [lo, hi].forEach(v => {
+    const px = Math.max(0, Math.min(w - 1, x(v)));
+    ctx.beginPath(); ctx.moveTo(px, 0); ctx.lineTo(px, h - 12); ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#aaa';
+  ctx.font = '10px monospace';
+  ctx.fillText(formatNum(hist.min, 3), 2, h - 2);
+  const maxLabel = formatNum(hist.max, 3);
+  ctx.fillText(maxLabel, w - 2 - ctx.measureText(maxLabel).width, h - 2);
+}
+
+function renderRasterProductList() {
+  const list = document.getElementById('raster-layer-list');
+  if (!list) return;
+  list.innerHTML = rasterProducts.map((p, i) => `
+    <li class="${p === activeRasterProduct ? 'active' : ''}" data-index="${i}">
+      <input type="checkbox" class="raster-visible" ${p.layer?.getVisible() !== false ? 'checked' : ''} title="Show on map">
+      <span class="raster-name" title="${escapeHtml(p.expression)}">${escapeHtml(p.name)}</span>
+      <button class="raster-remove" title="Remove layer">×</button>
+    </li>`).join('') || '<li class="text-secondary">No raster layers yet.</li>';
+}
+
+// re-colour the active product after a ramp / stretch change
+function restyleActiveRaster() {
+  if (!activeRasterProduct) return;
+  try {
+    renderRasterProduct(activeRasterProduct);
+  } catch (err) {
+    setRasterStatus(err.message);
+  }
+  syncRasterControls();
+}
+
+// -------------------------
+// Pixel inspector
+function rasterPixelAt(product, coordinate) {
+  const { width, height, bbox, epsg } = product.result;
+  const projection = rasterProjection(epsg);
+  if (!projection) return null;
+  let [x, y] = ol.proj.transform(coordinate, map.getView().getProjection(), projection);
+  if (ol.proj.get(projection).getUnits() === 'degrees') x = ((x + 180) % 360 + 360) % 360 - 180;
+  const col = Math.floor((x - bbox[0]) / (bbox[2] - bbox[0]) * width);
+  const row = Math.floor((bbox[3] - y) / (bbox[3] - bbox[1]) * height);
+  if (col < 0 || row < 0 || col >= width || row >= height) return null;
+  return { col, row, index: row * width + col };
+}
+
+function inspectRasterPixel(coordinate) {
+  const el = document.getElementById('raster-inspector');
+  if (!el) return;
+  const hits = rasterProducts
+    .filter(p => p.result && p.layer?.getVisible())
+    .map(p => ({ product: p, pixel: rasterPixelAt(p, coordinate) }))
+    .filter(h => h.pixel);
+  if (!hits.length) { el.innerHTML = ''; return; }
+  const [lon, lat] = ol.proj.toLonLat(coordinate);
+  const bandRows = {};
+  hits.forEach(({ product, pixel }) => Object.entries(product.result.bands).forEach(([name, band]) => {
+    if (bandRows[name]) return;
+    const raw = band.values[pixel.index];
+    bandRows[name] = smallTableRow(`${name}${RASTER_BANDS[name]?.label ? ' (' + RASTER_BANDS[name].label + ')' : ''}`, `${raw} → ${formatNum(raw * (band.scale ?? 1), 4)}`);
+  }));
+  const productRows = hits.map(({ product, pixel }) => {
+    const v = product.result.values[pixel.index];
+    return smallTableRow(product.name, Number.isNaN(v) ? '<span class="text-secondary">no data</span>' : formatNum(v, 4));
+  });
+  const first = hits[0].pixel;
+  el.innerHTML = `
+    <div class="small text-secondary">Pixel ${first.col}, ${first.row} at ${formatNum(lat, 5)}, ${formatNum(lon, 5)}</div>
+    <table class="table table-sm table-dark mb-0" style="font-size:12px;">${Object.values(bandRows).join('')}${productRows.join('')}</table>`;
+}
+
+function initRasterPanel() {
+  const presetSel = document.getElementById('raster-preset');
+  const exprInput = document.getElementById('raster-expression');
+  if (presetSel) {
+    presetSel.innerHTML = Object.entries(INDEX_PRESETS).map(([k, p]) => `<option value="${k}">${escapeHtml(p.label)}</option>`).join('')
+      + '<option value="">Custom expression</option>';
+    presetSel.addEventListener('change', () => {
+      if (exprInput && presetSel.value) exprInput.value = INDEX_PRESETS[presetSel.value].expression;
+      exprInput?.focus();
+    });
+  }
+  if (exprInput && presetSel) exprInput.value = INDEX_PRESETS[presetSel.value]?.expression || '';
+  exprInput?.addEventListener('input', () => { if (presetSel) presetSel.value = presetForExpression(exprInput.value) || ''; });
+
+  const compute = async () => {
+    const expression = exprInput?.value.trim();
+    if (!expression) return;
+    try {
+      parseBandExpression(expression); // report syntax errors before any download
+      await computeRasterProduct(expression);
+    } catch (err) {
+      console.warn("[RASTER] failed:", err);
+      setRasterStatus(`Error: ${err.message}`);
+    }
+  };
+  document.getElementById('raster-compute')?.addEventListener('click', compute);
+  exprInput?.addEventListener('keydown', e => { if (e.key === 'Enter') compute(); });
+  document.getElementById('refresh-ndvi')?.addEventListener('click', triggerNDVIGeneration);
+
+  const rampSel = document.getElementById('raster-ramp');
+  if (rampSel) {
+    rampSel.innerHTML = Object.entries(COLOR_RAMPS).map(([k, r]) => `<option value="${k}">${r.label}</option>`).join('');
+    rampSel.addEventListener('change', () => {
+      if (!activeRasterProduct) return drawRasterLegend();
+      activeRasterProduct.ramp = rampSel.value;
+      restyleActiveRaster();
+    });
+  }
+  document.getElementById('raster-opacity')?.addEventListener('input', e => activeRasterProduct?.layer?.setOpacity(Number(e.target.value)));
+  document.getElementById('raster-clip')?.addEventListener('change', e => {
+    if (!activeRasterProduct) return;
+    activeRasterProduct.clip = e.target.value;
+    activeRasterProduct.stretch = rasterStretch(activeRasterProduct, e.target.value);
+    restyleActiveRaster();
+  });
+  ['raster-stretch-min', 'raster-stretch-max'].forEach((id, k) => document.getElementById(id)?.addEventListener('change', e => {
+    const p = activeRasterProduct, v = Number(e.target.value);
+    if (!p?.stretch || !Number.isFinite(v)) return;
+    p.stretch[k] = v;
+    p.clip = 'manual';
+    restyleActiveRaster();
+  }));
+
+  const list = document.getElementById('raster-layer-list');
+  list?.addEventListener('click', e => {
+    const li = e.target.closest('li[data-index]');
+    const product = li && rasterProducts[Number(li.dataset.index)];
+    if (!product) return;
+    if (e.target.classList.contains('raster-remove')) removeRasterProduct(product);
+    else if (!e.target.classList.contains('raster-visible')) { setActiveRasterProduct(product); renderRasterProductList(); }
+  });
+  list?.addEventListener('change', e => {
+    const li = e.target.closest('li[data-index]');
+    rasterProducts[Number(li?.dataset.index)]?.layer?.setVisible(e.target.checked);
+  });
+
+  map.on('singleclick', evt => { if (!observerPickMode) inspectRasterPixel(evt.coordinate); });
+  renderRasterProductList();
+  syncRasterControls();
+}
+
+initRasterPanel();
+triggerNDVIGeneration();
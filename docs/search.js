@@ -0,0 +1,172 @@
+// Satellite search (fuzzy name / NORAD), orbit-regime and group filters, group management.
+// Loaded after map.js: filter state and the satellite layers' style live there, this file only drives them.
+
+const SEARCH_RESULT_LIMIT = 10;
+
+// higher is better, -1 = no match; exact > prefix > substring > in-order subsequence
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase(), t = String(text || '').toLowerCase();
+  if (!q || !t) return -1;
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 80 - Math.min(10, t.length - q.length) / 10;
+  const at = t.indexOf(q);
+  if (at >= 0) return 60 - Math.min(20, at) / 2;
+  let ti = 0, run = 0, bonus = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found < 0) return -1;
+    run = found === ti ? run + 1 : 0;
+    bonus += run;
+    ti = found + 1;
+  }
+  return 20 + Math.min(20, bonus) - Math.min(10, t.length / 10);
+}
+
+function allSatelliteFeatures() {
+  const out = [];
+  for (const layer of satelliteLayers()) layer?.getSource().forEachFeature(f => { out.push(f); });
+  return out;
+}
+
+function searchSatellites(query) {
+  const q = query.trim();
+  if (!q) return [];
+  const digits = /^\d+$/.test(q);
+  return allSatelliteFeatures()
+    .map(f => {
+      const norad = satelliteNoradId(f.getProperties());
+      let score = fuzzyScore(q, f.get('name'));
+      if (digits && norad !== null && norad !== undefined) {
+        const n = String(norad);
+        if (n === q) score = Math.max(score, 100);
+        else if (n.startsWith(q)) score = Math.max(score, 70);
+      }
+      return { feature: f, norad, score };
+    })
+    .filter(r => r.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+// -------------------------
+// Search box (toolbar)
+let searchResults = [];
+let searchCursor = -1;
+
+function renderSearchResults() {
+  const list = document.getElementById('sat-search-results');
+  if (!list) return;
+  list.innerHTML = searchResults.map((r, i) => `
+    <li data-row="${i}" class="${i === searchCursor ? 'active' : ''}">
+      ${escapeHtml(r.feature.get('name'))}
+      <small>${r.norad !== null && r.norad !== undefined ? escapeHtml(r.norad) + ' · ' : ''}${escapeHtml(r.feature.get('regime') || 'unknown')}</small>
+    </li>`).join('');
+  list.style.display = searchResults.length ? 'block' : 'none';
+}
+
+function chooseSearchResult(i) {
+  const r = searchResults[i];
+  if (!r) return;
+  selectSatelliteFeature(r.feature, { zoom: true });
+  searchResults = [];
+  renderSearchResults();
+}
+
+function initSatelliteSearch() {
+  const input = document.getElementById('sat-search');
+  const list = document.getElementById('sat-search-results');
+  if (!input || !list) return;
+  input.addEventListener('input', () => {
+    searchResults = searchSatellites(input.value);
+    searchCursor = searchResults.length ? 0 : -1;
+    renderSearchResults();
+  });
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!searchResults.length) return;
+      searchCursor = (searchCursor + (e.key === 'ArrowDown' ? 1 : -1) + searchResults.length) % searchResults.length;
+      renderSearchResults();
+    } else if (e.key === 'Enter') {
+      chooseSearchResult(Math.max(0, searchCursor));
+    } else if (e.key === 'Escape') {
+      searchResults = [];
+      renderSearchResults();
+    }
+  });
+  list.addEventListener('mousedown', e => {
+    const li = e.target.closest('li[data-row]');
+    if (li) { e.preventDefault(); chooseSearchResult(Number(li.dataset.row)); }
+  });
+  input.addEventListener('blur', () => setTimeout(() => { searchResults = []; renderSearchResults(); }, 150));
+}
+
+// -------------------------
+// Regime and group filters (toolbar), group manager (sidebar)
+function renderGroupControls() {
+  const filter = document.getElementById('group-filter');
+  if (filter) {
+    const current = satelliteFilter.group;
+    filter.innerHTML = '<option value="">All satellites</option>'
+      + satelliteGroups.groups.map(g => `<option value="${escapeHtml(g.name)}">${escapeHtml(g.name)} (${g.members.length})</option>`).join('');
+    filter.value = satelliteGroups.get(current) ? current : '';
+    satelliteFilter.group = filter.value;
+  }
+  const list = document.getElementById('group-list');
+  if (list) {
+    list.innerHTML = satelliteGroups.groups.length
+      ? satelliteGroups.groups.map(g => `
+        <li data-group="${escapeHtml(g.name)}">
+          <input type="color" value="${escapeHtml(g.color)}" title="Group colour">
+          <span>${escapeHtml(g.name)}</span> <small>${g.members.length} satellites</small>
+          <button class="btn btn-sm btn-outline-danger" data-action="delete" title="Delete group">✕</button>
+        </li>`).join('')
+      : '<li class="text-secondary">No groups yet. Create one, then add satellites from their info panel.</li>';
+  }
+}
+
+satelliteInfoSections.push(props => {
+  if (!satelliteGroups.groups.length) return '';
+  const key = satelliteKey(props);
+  return `<h5 style="margin:6px 0 4px 0;">Groups</h5>
+    <div class="sat-group-membership" data-key="${escapeHtml(key)}">
+      ${satelliteGroups.groups.map(g => `<label style="margin-right:10px;"><input type="checkbox" data-group="${escapeHtml(g.name)}" ${g.members.includes(key) ? 'checked' : ''}> <span style="color:${escapeHtml(g.color)}">●</span> ${escapeHtml(g.name)}</label>`).join('')}
+    </div>`;
+});
+
+function initSatelliteFilters() {
+  document.querySelectorAll('#regime-filter input[data-regime]').forEach(cb => cb.addEventListener('change', () => {
+    if (cb.checked) satelliteFilter.regimes.add(cb.dataset.regime);
+    else satelliteFilter.regimes.delete(cb.dataset.regime);
+    applySatelliteFilters();
+  }));
+  document.getElementById('group-filter')?.addEventListener('change', e => {
+    satelliteFilter.group = e.target.value;
+    applySatelliteFilters();
+  });
+
+  document.getElementById('group-create')?.addEventListener('click', () => {
+    const name = document.getElementById('group-name');
+    const color = document.getElementById('group-color');
+    if (satelliteGroups.create(name?.value, color?.value)) name.value = '';
+  });
+  document.getElementById('group-list')?.addEventListener('change', e => {
+    const li = e.target.closest('li[data-group]');
+    if (li && e.target.type === 'color') satelliteGroups.setColor(li.dataset.group, e.target.value);
+  });
+  document.getElementById('group-list')?.addEventListener('click', e => {
+    const li = e.target.closest('li[data-group]');
+    if (li && e.target.dataset.action === 'delete') satelliteGroups.remove(li.dataset.group);
+  });
+  // membership checkboxes rendered into the satellite panel by the section above
+  document.getElementById('satellite-info')?.addEventListener('change', e => {
+    const box = e.target.closest('.sat-group-membership');
+    if (box && e.target.dataset.group) satelliteGroups.setMember(e.target.dataset.group, box.dataset.key, e.target.checked);
+  });
+
+  satelliteGroups.onChange(renderGroupControls);
+  renderGroupControls();
+}
+
+initSatelliteSearch();
+initSatelliteFilters();
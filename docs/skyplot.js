@@ -0,0 +1,280 @@
+// Polar sky plot (azimuth / elevation from the active observer): satellites above the horizon, the
+// site's horizon mask and the arcs of upcoming passes. Selection is shared with the map both ways.
+// Loaded after passes.js (reads passRows and follows pass selection).
+
+const SKYPLOT_REFRESH_MS = 1000;
+const SKYPLOT_ARC_WINDOW_H = 3;   // arcs of passes that start within this many hours
+const SKYPLOT_LABEL_LIMIT = 25;   // label every satellite only when few are up
+const SKYPLOT_HIT_RADIUS_PX = 8;
+
+let skyPlotHits = [];             // [{ x, y, feature?, row? }] from the last draw, for clicks and hover
+let skyPlotPassRow = null;        // pass picked in the pass table
+
+// -------------------------
+// Horizon mask: [[azimuth_deg, elevation_deg], ...] on the observer site, interpolated linearly in
+// azimuth and wrapping through north. No mask means the mathematical horizon.
+function parseHorizonMask(text) {
+  const points = [];
+  for (const token of String(text).split(/[\s,;]+/).filter(Boolean)) {
+    const m = /^(-?\d+(?:\.\d+)?):(-?\d+(?:\.\d+)?)$/.exec(token);
+    if (!m) return null;
+    const az = Number(m[1]), el = Number(m[2]);
+    if (az < 0 || az >= 360 || el < 0 || el > 90) return null;
+    points.push([az, el]);
+  }
+  return points.sort((a, b) => a[0] - b[0]);
+}
+
+function formatHorizonMask(mask) {
+  return (mask || []).map(([az, el]) => `${az}:${el}`).join(' ');
+}
+
+function horizonMaskElevation(mask, azimuth_deg) {
+  if (!mask?.length) return 0;
+  if (mask.length === 1) return mask[0][1];
+  const az = ((azimuth_deg % 360) + 360) % 360;
+  let i = mask.findIndex(p => p[0] > az);
+  if (i < 0) i = mask.length;
+  const [az0, el0] = mask[(i - 1 + mask.length) % mask.length];
+  const [az1, el1] = mask[i % mask.length];
+  const span = ((az1 - az0) + 360) % 360 || 360;
+  const f = (((az - az0) + 360) % 360) / span;
+  return el0 + f * (el1 - el0);
+}
+
+function activeHorizonMask() {
+  return observerSites.active().horizon_mask || null;
+}
+
+// -------------------------
+// What to draw
+function skyPlotFeatureKey(props) {
+  return props?.sat_key || props?.name || null;
+}
+
+// satellites above the horizon now; one entry per satellite even when several layers carry it
+function skyPlotSatellites(observer) {
+  const byKey = new Map();
+  for (const layer of satelliteLayers()) {
+    if (!layer.getVisible()) continue;
+    layer.getSource().forEachFeature(f => {
+      if (!satelliteMatchesFilter(f)) return;
+      const props = f.getProperties();
+      const key = skyPlotFeatureKey(props);
+      if (byKey.has(key) && !props.satrec) return;
+      let look = markerLookAngles(props, observer); // positions as propagated for the map: no SGP4 per satellite per redraw
+      let fromFile = false;
+      // tle_visible.json: angles from the backend's observer, wherever that is. Drawn apart from the
+      // active site's (lighter, no horizon mask) since the file does not say where it was.
+      if (!look && props.look) { look = props.look; fromFile = true; }
+      if (!look || look.elevation_deg < 0) return;
+      byKey.set(key, { feature: f, key, name: props.name, azimuth_deg: look.azimuth_deg, elevation_deg: look.elevation_deg, fromFile });
+    });
+  }
+  return [...byKey.values()];
+}
+
+function skyPlotArcRows(now) {
+  const until = now.getTime() + SKYPLOT_ARC_WINDOW_H * 3600 * 1000;
+  const rows = passRows.filter(r => r.pass.los > now && r.pass.aos.getTime() < until);
+  if (skyPlotPassRow && !rows.includes(skyPlotPassRow)) rows.push(skyPlotPassRow);
+  return rows;
+}
+
+// -------------------------
+// Drawing
+function skyPlotGeometry(canvas) {
+  const size = Math.min(canvas.width, canvas.height);
+  return { cx: canvas.width / 2, cy: canvas.height / 2, radius: size / 2 - 18 };
+}
+
+// north up, east to the right; the zenith in the middle and the horizon on the rim
+function skyPlotXY(g, azimuth_deg, elevation_deg) {
+  const r = g.radius * (90 - Math.max(0, Math.min(90, elevation_deg))) / 90;
+  const a = azimuth_deg * Math.PI / 180;
+  return [g.cx + r * Math.sin(a), g.cy - r * Math.cos(a)];
+}
+
+function drawSkyPlot() {
+  const canvas = document.getElementById('skyplot');
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const g = skyPlotGeometry(canvas);
+  const now = simClock.now();
+  const observer = activeObserver();
+  const mask = activeHorizonMask();
+  const selectedKey = selectedProps?.type === 'satellite' ? skyPlotFeatureKey(selectedProps) : null;
+  skyPlotHits = [];
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#111';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // horizon mask: shaded between the rim and the mask line
+  if (mask?.length) {
+    ctx.fillStyle = 'rgba(121, 85, 72, 0.55)';
+    ctx.beginPath();
+    for (let az = 0; az <= 360; az += 2) {
+      const [x, y] = skyPlotXY(g, az, horizonMaskElevation(mask, az));
+      if (az === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.arc(g.cx, g.cy, g.radius, -Math.PI / 2, 1.5 * Math.PI, false);
+    ctx.fill('evenodd');
+  }
+
+  // elevation rings every 30°, spokes every 45°, cardinal labels
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = 1;
+  [0, 30, 60].forEach(el => {
+    ctx.beginPath();
+    ctx.arc(g.cx, g.cy, g.radius * (90 - el) / 90, 0, 2 * Math.PI);
+    ctx.stroke();
+  });
+  for (let az = 0; az < 360; az += 45) {
+    const [x, y] = skyPlotXY(g, az, 0);
+    ctx.beginPath();
+    ctx.moveTo(g.cx, g.cy);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  }
+  ctx.fillStyle = '#aaa';
+  ctx.font = '11px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, az]) => {
+    const a = az * Math.PI / 180;
+    ctx.fillText(label, g.cx + (g.radius + 10) * Math.sin(a), g.cy - (g.radius + 10) * Math.cos(a));
+  });
+  ctx.textAlign = 'left';
+  ctx.fillText('30°', g.cx + 3, g.cy - g.radius * 2 / 3 + 6);
+  ctx.fillText('60°', g.cx + 3, g.cy - g.radius / 3 + 6);
+
+  // pass arcs: selected satellite / pass on top, a dot at AOS
+  if (document.getElementById('skyplot-arcs')?.checked !== false) {
+    const rows = skyPlotArcRows(now);
+    const emphasized = r => r === skyPlotPassRow || (selectedKey && skyPlotFeatureKey(r.feature.getProperties()) === selectedKey);
+    rows.sort((a, b) => emphasized(a) - emphasized(b)).forEach(row => {
+      const on = emphasized(row);
+      ctx.strokeStyle = on ? '#00e5ff' : 'rgba(255, 165, 0, 0.55)';
+      ctx.lineWidth = on ? 2.5 : 1.2;
+      ctx.beginPath();
+      row.pass.arc.forEach((s, i) => {
+        const [x, y] = skyPlotXY(g, s.azimuth_deg, s.elevation_deg);
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        if (i % 4 === 0) skyPlotHits.push({ x, y, row });
+      });
+      ctx.stroke();
+      const aos = row.pass.arc[0];
+      if (aos) {
+        const [x, y] = skyPlotXY(g, aos.azimuth_deg, aos.elevation_deg);
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.beginPath();
+        ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    });
+  }
+
+  // satellites: hollow when behind the mask, ringed when selected
+  const sats = skyPlotSatellites(observer);
+  const isBlocked = s => !s.fromFile && s.elevation_deg < horizonMaskElevation(mask, s.azimuth_deg);
+  sats.forEach(s => {
+    const [x, y] = skyPlotXY(g, s.azimuth_deg, s.elevation_deg);
+    const blocked = isBlocked(s);
+    const selected = s.key === selectedKey;
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, 2 * Math.PI);
+    if (blocked) {
+      ctx.strokeStyle = '#888';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = s.fromFile ? '#ff8a80' : '#ff1744';
+      ctx.fill();
+    }
+    if (selected) {
+      ctx.strokeStyle = '#00e5ff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, 8, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    if (selected || sats.length <= SKYPLOT_LABEL_LIMIT) {
+      ctx.fillStyle = selected ? '#00e5ff' : '#ccc';
+      ctx.font = '10px sans-serif';
+      ctx.fillText(s.name || s.key, x + 6, y - 6);
+    }
+    skyPlotHits.push({ x, y, feature: s.feature, sat: s });
+  });
+
+  const status = document.getElementById('skyplot-status');
+  if (status) {
+    const blocked = sats.filter(isBlocked).length;
+    const fromFile = sats.filter(s => s.fromFile).length;
+    status.textContent = `${sats.length - fromFile} above the horizon${blocked ? `, ${blocked} behind the mask` : ''} from ${observer.name} at ${formatUTC(now)}`
+      + (fromFile ? `; ${fromFile} more (lighter) as seen by the data file's observer` : '');
+  }
+}
+
+// nearest satellite (preferred) or pass arc within the hit radius of a canvas point
+function skyPlotHitAt(canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (clientX - rect.left) * canvas.width / (rect.width || canvas.width);
+  const y = (clientY - rect.top) * canvas.height / (rect.height || canvas.height);
+  let best = null, bestD = SKYPLOT_HIT_RADIUS_PX;
+  skyPlotHits.forEach(h => {
+    const d = Math.hypot(h.x - x, h.y - y) - (h.feature ? 2 : 0);
+    if (d <= bestD) { best = h; bestD = d; }
+  });
+  return best;
+}
+
+function initSkyPlot() {
+  const canvas = document.getElementById('skyplot');
+  canvas?.addEventListener('click', e => {
+    const hit = skyPlotHitAt(canvas, e.clientX, e.clientY);
+    if (hit?.feature) selectSatelliteFeature(hit.feature);
+    else if (hit?.row) selectPassRow(hit.row);
+  });
+  canvas?.addEventListener('mousemove', e => {
+    const hit = skyPlotHitAt(canvas, e.clientX, e.clientY);
+    canvas.style.cursor = hit ? 'pointer' : '';
+    if (hit?.sat) canvas.title = `${hit.sat.name} · Az ${formatNum(hit.sat.azimuth_deg, 1)}° El ${formatNum(hit.sat.elevation_deg, 1)}°${hit.sat.fromFile ? " (data file's observer)" : ''}`;
+    else if (hit?.row) canvas.title = `${hit.row.name} pass · AOS ${formatPassTime(hit.row.pass.aos)} · max ${formatNum(hit.row.pass.maxElevation, 1)}°`;
+    else canvas.title = '';
+  });
+  document.getElementById('skyplot-arcs')?.addEventListener('change', drawSkyPlot);
+
+  const maskInput = document.getElementById('skyplot-mask');
+  const renderMask = () => { if (maskInput) maskInput.value = formatHorizonMask(activeHorizonMask()); };
+  document.getElementById('skyplot-mask-save')?.addEventListener('click', () => {
+    const mask = parseHorizonMask(maskInput?.value || '');
+    const status = document.getElementById('skyplot-status');
+    if (!mask) {
+      if (status) status.textContent = 'Mask: azimuth:elevation pairs in degrees, e.g. 0:5 90:12 200:20';
+      return;
+    }
+    observerSites.upsert(Object.assign({}, observerSites.active(), { horizon_mask: mask.length ? mask : undefined }));
+  });
+
+  onSelectionChange(drawSkyPlot);
+  onPassSelected(row => { skyPlotPassRow = row; drawSkyPlot(); });
+  observerSites.onChange(() => { skyPlotPassRow = null; renderMask(); drawSkyPlot(); });
+  // satellites sit where the map's last position update put them: redraw with the updates, at most
+  // every SKYPLOT_REFRESH_MS, and with the first one after a clock jump
+  let jumped = false, lastDraw = 0;
+  simClock.onChange(reason => {
+    if (reason === 'jump') jumped = true;
+    drawSkyPlot();
+  });
+  onPositionsUpdated(() => {
+    if (!jumped && performance.now() - lastDraw < SKYPLOT_REFRESH_MS) return;
+    jumped = false;
+    lastDraw = performance.now();
+    drawSkyPlot();
+  });
+  renderMask();
+  layersReady.then(drawSkyPlot);
+}
+
+initSkyPlot();
@@ -0,0 +1,88 @@
+// Sun position and satellite illumination (sunlit / penumbra / umbra).
+// Low-precision solar coordinates (Astronomical Almanac, ~0.01° until 2050) are plenty for
+// terminators, twilight and eclipse entry times to within a few seconds. Uses satellite.js for GMST.
+
+const AU_KM = 149597870.7;
+const SUN_RADIUS_KM = 696000;
+
+// darkness thresholds: the sun this many degrees below the horizon
+const TWILIGHT_BANDS = [
+  { name: 'Civil twilight', depression_deg: 0 },
+  { name: 'Nautical twilight', depression_deg: 6 },
+  { name: 'Astronomical twilight', depression_deg: 12 },
+  { name: 'Night', depression_deg: 18 }
+];
+// an observer can see a sunlit satellite once the sun is past civil twilight
+const VISIBLE_PASS_SUN_MAX_DEG = -6;
+
+// geocentric equatorial position of the sun (km, mean equator of date, close enough to TEME)
+// plus its right ascension and declination in radians
+function sunPositionEci(date) {
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // days since J2000.0
+  const toRad = Math.PI / 180;
+  const L = (280.460 + 0.9856474 * n) * toRad;
+  const g = (357.528 + 0.9856003 * n) * toRad;
+  const lambda = L + (1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * toRad;
+  const epsilon = (23.439 - 0.0000004 * n) * toRad;
+  const r = (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * AU_KM;
+  return {
+    x: r * Math.cos(lambda),
+    y: r * Math.cos(epsilon) * Math.sin(lambda),
+    z: r * Math.sin(epsilon) * Math.sin(lambda),
+    rightAscension: Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda)),
+    declination: Math.asin(Math.sin(epsilon) * Math.sin(lambda))
+  };
+}
+
+// point on the Earth with the sun at the zenith
+function subsolarPoint(date) {
+  const sun = sunPositionEci(date);
+  let lon = (sun.rightAscension - satellite.gstime(date)) * 180 / Math.PI;
+  lon = ((lon + 540) % 360) - 180;
+  return { lat: sun.declination * 180 / Math.PI, lon };
+}
+
+// geometric elevation of the sun's centre for an observer ({ lat, lon } degrees), no refraction
+function sunElevationDeg(observer, date) {
+  const sub = subsolarPoint(date);
+  const toRad = Math.PI / 180;
+  const φ = observer.lat * toRad, δ = sub.lat * toRad, H = (observer.lon - sub.lon) * toRad;
+  return Math.asin(Math.sin(φ) * Math.sin(δ) + Math.cos(φ) * Math.cos(δ) * Math.cos(H)) / toRad;
+}
+
+// Conical shadow model: compare the angular radii of the Earth and the sun seen from the satellite
+// with their angular separation. `position` and `sun` are in the same frame (both ECI or both ECF).
+function eclipseState(position, sun) {
+  const r = Math.hypot(position.x, position.y, position.z);
+  const d = { x: sun.x - position.x, y: sun.y - position.y, z: sun.z - position.z };
+  const dist = Math.hypot(d.x, d.y, d.z);
+  if (!(r > EARTH_RADIUS_KM)) return null;
+  const earthAngle = Math.asin(EARTH_RADIUS_KM / r);
+  const sunAngle = Math.asin(SUN_RADIUS_KM / dist);
+  const cosSep = -(position.x * d.x + position.y * d.y + position.z * d.z) / (r * dist);
+  const separation = Math.acos(Math.max(-1, Math.min(1, cosSep)));
+  if (separation >= earthAngle + sunAngle) return 'sunlit';
+  if (separation <= earthAngle - sunAngle) return 'umbra';
+  return 'penumbra';
+}
+
+// illumination from a propagateSatrec() state
+function satrecIllumination(state) {
+  return state ? eclipseState(state.positionEci, sunPositionEci(state.date)) : null;
+}
+
+// the sun in Earth-fixed coordinates (km), for eclipseState() against geodetic positions
+function sunPositionEcf(date) {
+  return satellite.eciToEcf(sunPositionEci(date), satellite.gstime(date));
+}
+
+// illumination of a satellite known only by its sub-satellite point and altitude (no TLE);
+// pass `sunEcf` when checking many satellites at the same time
+function geodeticIllumination(lat, lon, altitude_km, date, sunEcf = sunPositionEcf(date)) {
+  const position = satellite.geodeticToEcf({
+    longitude: satellite.degreesToRadians(lon),
+    latitude: satellite.degreesToRadians(lat),
+    height: altitude_km
+  });
+  return eclipseState(position, sunEcf);
+}
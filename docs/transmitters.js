@@ -0,0 +1,225 @@
+// Transmitter catalog from satnogs_results.json, linked to satellite features by NORAD ID.
+// Loaded after map.js: reads satnogsData and the satellite layers, adds a section to showSatelliteInfo().
+
+const FREQUENCY_BANDS = [
+  { name: 'HF', min: 3e6, max: 30e6 },
+  { name: 'VHF', min: 30e6, max: 300e6 },
+  { name: 'UHF', min: 300e6, max: 1e9 },
+  { name: 'L', min: 1e9, max: 2e9 },
+  { name: 'S', min: 2e9, max: 4e9 },
+  { name: 'C', min: 4e9, max: 8e9 },
+  { name: 'X', min: 8e9, max: 12e9 },
+  { name: 'Ku', min: 12e9, max: 18e9 },
+  { name: 'K', min: 18e9, max: 27e9 },
+  { name: 'Ka', min: 27e9, max: 40e9 }
+];
+const TX_TABLE_LIMIT = 250;
+
+let transmitterCatalog = [];
+let transmittersByNorad = new Map();
+
+function frequencyBand(hz) {
+  if (typeof hz !== 'number') return null;
+  return FREQUENCY_BANDS.find(b => hz >= b.min && hz < b.max)?.name ?? null;
+}
+
+// SatNOGS frequencies are Hz; small values are taken as MHz written by hand
+function toHz(value) {
+  const v = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(v) || v <= 0) return null;
+  return v < 1e5 ? v * 1e6 : v;
+}
+
+function formatFrequency(hz) {
+  if (typeof hz !== 'number') return '—';
+  return hz >= 1e9 ? `${(hz / 1e9).toFixed(4)} GHz` : `${(hz / 1e6).toFixed(3)} MHz`;
+}
+
+// transmitter.satellite may be a NORAD number, a numeric string or a { norad_cat_id } object
+function transmitterNorad(t) {
+  const sat = t.satellite;
+  const v = t.norad_cat_id ?? (sat && typeof sat === 'object' ? (sat.norad_cat_id ?? sat.norad_id) : sat);
+  if (typeof v === 'number' && Number.isInteger(v)) return v;
+  if (typeof v === 'string' && /^\d+$/.test(v.trim())) return Number(v);
+  return null;
+}
+
+// one catalog entry per direction: a transponder with both a downlink and an uplink gives two
+function normalizeTransmitters(t) {
+  const downlink = toHz(t.downlink_low ?? t.frequency);
+  const uplink = toHz(t.uplink_low);
+  if (downlink && uplink) return [transmitterEntry(t, downlink, 'downlink'), transmitterEntry(t, uplink, 'uplink')];
+  const isUplink = !downlink && !!uplink || t.direction === 'uplink' || /\buplink\b/i.test(t.description || '');
+  return [transmitterEntry(t, isUplink ? (uplink ?? downlink) : downlink, isUplink ? 'uplink' : 'downlink')];
+}
+
+function transmitterEntry(t, frequency_hz, direction) {
+  return {
+    uuid: t.uuid ?? null,
+    description: t.description || '',
+    mode: t.mode || null,
+    baud: t.baud ?? null,
+    frequency_hz,
+    band: frequencyBand(frequency_hz),
+    direction,
+    norad_id: transmitterNorad(t),
+    satellite: null,
+    unlinked: null,
+    raw: t
+  };
+}
+
+function satelliteFeaturesByNorad() {
+  const out = new Map();
+  for (const layer of satelliteLayers()) {
+    layer?.getSource().forEachFeature(f => {
+      const norad = satelliteNoradId(f.getProperties());
+      if (norad !== null && norad !== undefined && !out.has(String(norad))) out.set(String(norad), f);
+    });
+  }
+  return out;
+}
+
+// (re)attach every transmitter to its satellite feature; anything that cannot be placed is flagged, not dropped
+function linkTransmitters() {
+  const features = satelliteFeaturesByNorad();
+  transmittersByNorad = new Map();
+  for (const tx of transmitterCatalog) {
+    const reasons = [];
+    if (tx.norad_id === null) reasons.push('no satellite');
+    if (tx.frequency_hz === null) reasons.push('no frequency');
+    tx.satellite = tx.norad_id !== null ? (features.get(String(tx.norad_id)) || null) : null;
+    if (tx.norad_id !== null && !tx.satellite) reasons.push('satellite not on map');
+    tx.unlinked = reasons.length ? reasons.join(', ') : null;
+    if (tx.norad_id !== null) {
+      const key = String(tx.norad_id);
+      if (!transmittersByNorad.has(key)) transmittersByNorad.set(key, []);
+      transmittersByNorad.get(key).push(tx);
+    }
+  }
+}
+
+function buildTransmitterCatalog(list) {
+  transmitterCatalog = (Array.isArray(list) ? list : []).flatMap(normalizeTransmitters);
+  linkTransmitters();
+}
+
+// after satellites were added to or removed from the map (live feed, imported TLE sets)
+function relinkTransmitters() {
+  if (!transmitterCatalog.length) return;
+  linkTransmitters();
+  fillTransmitterSatelliteOptions();
+  renderTransmitterTable();
+}
+
+// -------------------------
+// Transmitter panel (sidebar)
+function transmitterFilters() {
+  return {
+    text: (document.getElementById('tx-search')?.value || '').trim().toLowerCase(),
+    mode: document.getElementById('tx-mode')?.value || '',
+    band: document.getElementById('tx-band')?.value || '',
+    satellite: document.getElementById('tx-satellite')?.value || ''
+  };
+}
+
+function matchesTransmitter(tx, f) {
+  if (f.mode && !(tx.mode === f.mode || (tx.mode || '').startsWith(f.mode + ' '))) return false;
+  if (f.band && tx.band !== f.band) return false;
+  if (f.satellite === '__unlinked' && !tx.unlinked) return false;
+  if (f.satellite && f.satellite !== '__unlinked' && String(tx.norad_id) !== f.satellite) return false;
+  if (f.text) {
+    const hay = [tx.description, tx.mode, tx.uuid, tx.norad_id, tx.satellite?.get('name')].join(' ').toLowerCase();
+    if (!hay.includes(f.text)) return false;
+  }
+  return true;
+}
+
+function fillTransmitterFilterOptions() {
+  const modeSel = document.getElementById('tx-mode');
+  const bandSel = document.getElementById('tx-band');
+  const counts = new Map();
+  transmitterCatalog.forEach(tx => tx.mode && counts.set(tx.mode, (counts.get(tx.mode) || 0) + 1));
+  const modes = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  if (modeSel) modeSel.innerHTML = '<option value="">All modes</option>' + modes.map(([m, n]) => `<option value="${escapeHtml(m)}">${escapeHtml(m)} (${n})</option>`).join('');
+  if (bandSel) bandSel.innerHTML = '<option value="">All bands</option>' + FREQUENCY_BANDS.map(b => `<option value="${b.name}">${b.name}</option>`).join('');
+  fillTransmitterSatelliteOptions();
+}
+
+// satellites that have linked transmitters; keeps the current choice while it is still linked
+function fillTransmitterSatelliteOptions() {
+  const satSel = document.getElementById('tx-satellite');
+  if (!satSel) return;
+  const current = satSel.value;
+  const linked = [...transmittersByNorad.keys()]
+    .map(norad => ({ norad, name: transmittersByNorad.get(norad).find(tx => tx.satellite)?.satellite.get('name') }))
+    .filter(s => s.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  satSel.innerHTML = '<option value="">All satellites</option><option value="__unlinked">Unlinked only</option>'
+    + linked.map(s => `<option value="${s.norad}">${escapeHtml(s.name)} (${s.norad})</option>`).join('');
+  satSel.value = [...satSel.options].some(o => o.value === current) ? current : '';
+}
+
+let visibleTransmitters = [];
+
+function renderTransmitterTable() {
+  const tbody = document.querySelector('#tx-table tbody');
+  const status = document.getElementById('tx-status');
+  if (!tbody) return;
+  const filters = transmitterFilters();
+  const matches = transmitterCatalog.filter(tx => matchesTransmitter(tx, filters));
+  const unlinked = matches.filter(tx => tx.unlinked).length;
+  visibleTransmitters = matches.slice(0, TX_TABLE_LIMIT);
+  tbody.innerHTML = visibleTransmitters.map((tx, i) => `
+    <tr data-row="${i}" class="${tx.unlinked ? 'unlinked' : ''}" title="${escapeHtml(tx.unlinked ? 'Unlinked: ' + tx.unlinked : 'Linked to ' + tx.satellite.get('name'))}">
+      <td>${tx.satellite ? escapeHtml(tx.satellite.get('name')) : (tx.norad_id !== null ? escapeHtml(tx.norad_id) : '—')}${tx.unlinked ? ' <span class="badge bg-warning text-dark">unlinked</span>' : ''}</td>
+      <td>${escapeHtml(tx.mode || '—')}</td>
+      <td>${formatFrequency(tx.frequency_hz)}<br><small>${tx.band || ''} ${tx.direction === 'uplink' ? '↑' : '↓'}</small></td>
+      <td>${tx.baud ?? '—'}</td>
+      <td>${escapeHtml(tx.description)}</td>
+    </tr>`).join('');
+  if (status) {
+    status.textContent = `${matches.length} of ${transmitterCatalog.length} transmitters (${unlinked} unlinked)`
+      + (matches.length > TX_TABLE_LIMIT ? ` — showing first ${TX_TABLE_LIMIT}, refine the search` : '');
+  }
+}
+
+function selectTransmitterRow(tx) {
+  if (!tx?.satellite) return;
+  selectSatelliteFeature(tx.satellite, { zoom: true });
+}
+
+function transmitterListHtml(title, list) {
+  if (!list.length) return '';
+  return `<h6 style="margin:6px 0 2px 0;">${title}</h6>
+    <table style="width:100%; border-collapse:collapse; font-size:12px; color:#ddd;">
+      ${list.map(tx => `<tr><td style="padding:2px 6px;">${formatFrequency(tx.frequency_hz)}</td><td style="padding:2px 6px;">${escapeHtml(tx.mode || '—')}${tx.baud ? ' ' + escapeHtml(tx.baud) + ' Bd' : ''}</td><td style="padding:2px 6px;">${escapeHtml(tx.description)}</td></tr>`).join('')}
+    </table>`;
+}
+
+satelliteInfoSections.push(props => {
+  const norad = satelliteNoradId(props);
+  const list = (norad !== null && norad !== undefined) ? (transmittersByNorad.get(String(norad)) || []) : [];
+  if (!list.length) return '<h5 style="margin:6px 0 4px 0;">Transmitters</h5><p style="color:#aaa; font-size:13px;">No transmitters in the catalog for this satellite.</p>';
+  return `<h5 style="margin:6px 0 4px 0;">Transmitters</h5>
+    ${transmitterListHtml('Downlinks', list.filter(tx => tx.direction === 'downlink'))}
+    ${transmitterListHtml('Uplinks', list.filter(tx => tx.direction === 'uplink'))}`;
+});
+
+function initTransmitterPanel() {
+  ['tx-search', 'tx-mode', 'tx-band', 'tx-satellite'].forEach(id => {
+    document.getElementById(id)?.addEventListener(id === 'tx-search' ? 'input' : 'change', renderTransmitterTable);
+  });
+  document.querySelector('#tx-table tbody')?.addEventListener('click', e => {
+    const tr = e.target.closest('tr[data-row]');
+    if (tr) selectTransmitterRow(visibleTransmitters[Number(tr.dataset.row)]);
+  });
+  layersReady.then(() => {
+    buildTransmitterCatalog(satnogsData.transmitters);
+    fillTransmitterFilterOptions();
+    renderTransmitterTable();
+    console.log("[TX] catalog:", transmitterCatalog.length, "transmitters;", transmitterCatalog.filter(tx => tx.unlinked).length, "unlinked");
+  });
+}
+
+initTransmitterPanel();
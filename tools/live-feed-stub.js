@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Test feed for docs/live.js, no dependencies. Replays the satellites of docs/data/tle_live.json drifting
+// eastwards, over WebSocket (ws://localhost:8765/live), Server-Sent Events (http://localhost:8765/events)
+// and as a plain snapshot for polling (http://localhost:8765/live.json).
+//
+// To exercise the client: updates arrive every second in shuffled order, a full snapshot every 15 s,
+// one satellite at a time is withheld from updates for a minute (snapshots repeat its last position and
+// time stamp, so it should turn stale after 30 s), and a synthetic "STUB-SAT" is added and removed every 20 s.
+//
+// Usage: node tools/live-feed-stub.js [port]
+// then open docs/index.html?live=ws://localhost:8765/live (or ?live=http://localhost:8765/events).
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8765;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const base = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'docs', 'data', 'tle_live.json'), 'utf8'));
+const satellites = base.map(s => Object.assign({}, s));
+const stubSat = { name: 'STUB-SAT', latitude: 0, longitude: 0, altitude_km: 550 };
+let tick = 0;
+let stubVisible = false;
+const lastSent = new Map(satellites.map(s => [s, Object.assign({}, s, { timestamp: new Date().toISOString() })])); // satellite -> the record last sent for it
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+function shuffled(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// snapshots list every satellite, since the client drops markers missing from one
+function currentRecords({ snapshot = false } = {}) {
+  const timestamp = new Date().toISOString();
+  const withheld = satellites[Math.floor(tick / 60) % satellites.length];
+  const list = satellites.filter(s => s !== withheld);
+  if (stubVisible) list.push(stubSat);
+  const records = list.map(s => {
+    const rec = Object.assign({}, s, { timestamp });
+    lastSent.set(s, rec);
+    return rec;
+  });
+  if (snapshot && lastSent.has(withheld)) records.push(lastSent.get(withheld));
+  return shuffled(records);
+}
+
+// -------------------------
+// WebSocket (RFC 6455): handshake and unmasked server-to-client text frames only
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81; header[1] = 126; header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81; header[1] = 127; header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function broadcast(event, data) {
+  const json = JSON.stringify(data);
+  sseClients.forEach(res => res.write(`event: ${event}\ndata: ${json}\n\n`));
+  wsClients.forEach(socket => socket.write(wsFrame(json)));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const cors = { 'Access-Control-Allow-Origin': '*' };
+  if (url.pathname === '/events') {
+    res.writeHead(200, Object.assign({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' }, cors));
+    res.write('retry: 5000\n\n');
+    res.write(`event: snapshot\ndata: ${JSON.stringify({ type: 'snapshot', satellites: currentRecords({ snapshot: true }) })}\n\n`);
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+  } else if (url.pathname === '/live.json') {
+    res.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, cors));
+    res.end(JSON.stringify(currentRecords({ snapshot: true })));
+  } else {
+    res.writeHead(404, cors);
+    res.end('not found');
+  }
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (new URL(req.url, `http://localhost:${PORT}`).pathname !== '/live' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  wsClients.add(socket);
+  socket.write(wsFrame(JSON.stringify({ type: 'snapshot', satellites: currentRecords({ snapshot: true }) })));
+  socket.on('data', buf => {
+    // opcode 8 = close: echo it and hang up; anything else from the client is ignored
+    if ((buf[0] & 0x0f) === 8) {
+      socket.end(Buffer.from([0x88, 0]));
+      wsClients.delete(socket);
+    }
+  });
+  socket.on('close', () => wsClients.delete(socket));
+  socket.on('error', () => wsClients.delete(socket));
+});
+
+setInterval(() => {
+  tick++;
+  satellites.forEach(s => {
+    s.longitude = ((s.longitude + 0.06 + 180) % 360 + 360) % 360 - 180;
+  });
+  stubSat.longitude = ((stubSat.longitude + 0.1 + 180) % 360) - 180;
+  if (tick % 20 === 0) {
+    stubVisible = !stubVisible;
+    if (!stubVisible) broadcast('remove', { type: 'remove', ids: [stubSat.name] });
+  }
+  if (tick % 15 === 0) broadcast('snapshot', { type: 'snapshot', satellites: currentRecords({ snapshot: true }) });
+  else broadcast('update', { type: 'update', satellites: currentRecords() });
+}, 1000);
+
+server.listen(PORT, () => {
+  console.log(`[live-feed-stub] ws://localhost:${PORT}/live, http://localhost:${PORT}/events, http://localhost:${PORT}/live.json`);
+});